@@ -7,9 +7,105 @@ const config = {
     // Year for Valentine's Week (change this each year!)
     year: 2026,
 
+    // Recipient's timezone (IANA name, e.g. "Asia/Kolkata").
+    // Days unlock by this clock wherever the link is opened. Leave empty to use the viewer's own timezone.
+    timezone: "",
+
+    // Time each day unlocks on the recipient's clock ("HH:MM", 24h). A day can override it with `unlockTime`.
+    unlockTime: "00:00",
+
+    // After the last day, keep a recap gallery of the whole week open for this many days
+    // before the countdown to next year comes back (0 = go straight to the countdown)
+    recapDays: 30,
+
+    // How easily the ✨ effects react to the music's beat: 0 = only strong beats, 1 = nearly every beat
+    beatSensitivity: 0.5,
+
+    // Optional URL that receives the recipient's answers (proposal, Valentine, days opened) as JSON POSTs.
+    // Leave empty to keep them on the device only. For local testing run `node tools/response-receiver.js`
+    // and use "http://localhost:8787/responses".
+    responseEndpoint: "",
+
+    // Set to true to show a WhatsApp-style "Reply to me" chat at the end of each day. Replies are
+    // kept on their device as one conversation for the week, can be saved as a text file, and are
+    // sent to responseEndpoint too when it's set.
+    allowReplies: false,
+
+    // Optional question asked before anything else shows (names, days, music), so a forwarded
+    // link doesn't give the surprise away. Leave the question empty for no question.
+    // Answers ignore case, accents, punctuation and small typos; hints are shown one by one
+    // after wrong answers. The answers can be read in this file - see "Entry Question" in the README.
+    gate: {
+        question: "",
+        answers: [],
+        hints: []
+    },
+
     // Your Name / Recipient Name
     recipientName: "My ADITI 🌸",
 
+    // What the greeting ("Hey ...") and the Coming Soon overlay ("For ...") call them (defaults to recipientName)
+    nickname: "Aditi🌸",
+
+    // Your name, signed at the end of the love letter
+    senderName: "Nikhil",
+    letterSignOff: "Forever Yours,",
+
+    // Browser tab title and link-preview text.
+    // Note: chat apps read link previews without running scripts, so update the og: tags in index.html too
+    meta: {
+        title: "Valentine's Week - A Surprise for Aditi 🌸",
+        shareTitle: "A Surprise for Aditi 🌸",
+        description: "I have something special for you... Click to open! 💕",
+        image: "https://darkbeast13.github.io/ValentineWeek/preview/preview_1.png",
+        url: "https://darkbeast13.github.io/ValentineWeek"
+    },
+
+    // Look of the page: "classic", "minimal", "retro" (old film) or "night" (always dark).
+    // A day can pick its own with `theme: "retro"`, and `themes` adds your own packs (see the README).
+    // darkMode "auto" switches to the dark variant when the device asks for it or during nightHours
+    // on the recipient's clock; "system" or "night" use just one of those, true / false force it.
+    theme: "classic",
+    darkMode: "auto",
+    nightHours: "20:00-06:00",
+
+    // Language this file is written in. Any interface text can be reworded in `strings` (every key is
+    // listed in the README), and `languages` adds translations that ?lang= picks, e.g. ?lang=fr with
+    //   languages: { fr: { strings: { dayAnnounce: "C'est {title} !" }, days: [{ title: "Jour de la Rose" }] } }
+    // Right-to-left languages (Arabic, Hebrew, Persian, Urdu...) mirror the layout automatically.
+    language: "en",
+    strings: {},
+    languages: {},
+
+    // Default copy for the story stages on every day (a day's own `stageOptions` override these)
+    stageOptions: {
+        greeting: {
+            hello: "Hey",
+            subtitle: "I have something special for you..."
+        },
+        proposal: {
+            question: "Do you love me?",
+            subtitle: "Be honest... 💕",
+            yesLabel: "Yes! 💖",
+            noLabel: "No 😢",
+            responseText: "I knew it!",
+            responseSub: "You just made me the happiest person alive! 💕"
+        },
+        teddy: {
+            message: "A Teddy for You!",
+            subtitle: "Hold it tight whenever you miss me 💕",
+            hint: "Tap the gift to open! 🎀"
+        },
+        valentine: {
+            lead: "After 7 beautiful days together...",
+            question: "Will you be my...",
+            highlight: "Forever Valentine? 💕",
+            hint: "(There's only one right answer... 😉)",
+            yesLabel: "YES! Forever! ❤️",
+            noLabel: "Maybe later? 🙈"
+        }
+    },
+
     // Background Icons (Floating)
     floatingIcons: [
         'assets/svgs/heart.svg',
@@ -27,9 +123,11 @@ const config = {
     ],
 
     // Default music for outside Valentine's Week (before Feb 7 or after Feb 14)
-    defaultMusic: "assets/music/default-bg.mp3",
+    defaultMusic: { src: "assets/music/default-bg.mp3", title: "Valentine Vibes 💕", artist: "Your Love Song" },
 
-    // Music Playlist (fallback if day-specific music is not set)
+    // Music Playlist: plays after each day's own song (and on days without one).
+    // Songs can be a path or a track with its details for the player:
+    //   { src: "assets/music/our-song.mp3", title: "Our Song", artist: "The Band" }
     musicList: [
         "assets/music/rose-day.mp3",
         "assets/music/hug-day.mp3",
@@ -41,6 +139,13 @@ const config = {
     ],
 
     // Day-by-Day Configuration
+    // Each day can list its story stages in `stages` (default: greeting, announce, chat, memories, reveal)
+    // and tune any of them with `stageOptions`, e.g. stageOptions: { proposal: { question: "Do you love me?" } }.
+    // Interactive stages: 'proposal', 'teddy', 'valentine' - any day can use them.
+    // A day's song can skip its intro with `musicStart` (seconds or "m:ss") and fade in over `musicFadeIn` seconds.
+    // Add `lyrics: "assets/lyrics/rose-day.lrc"` (LRC or WebVTT) to show the words of the day's song above the player.
+    // A memory can be { text: "...", voice: "assets/voice/first-date.mp3" } to play your voice over that line,
+    // and stageOptions: { chat: { voice: "assets/voice/hello.mp3" } } adds a voice note to the chat.
     days: [
         {
             date: "Feb 7",
@@ -81,6 +186,7 @@ const config = {
             bgStart: "#FFF5F5", bgMid: "#FFE4E4", bgEnd: "#FFD0D0",
             petalSymbols: ["💍", "💎", "💖", "✨", "⭐", "🌟"],
             music: "assets/music/propose-day.mp3",
+            stages: ['greeting', 'announce', 'chat', 'memories', 'proposal', 'reveal'],
             memories: [
                 "I've thought about this moment...",
                 "A thousand times in my head.",
@@ -131,6 +237,7 @@ const config = {
             bgStart: "#FFFAF0", bgMid: "#FFE8CC", bgEnd: "#FFD9B3",
             petalSymbols: ["🧸", "🤍", "💛", "🎀", "🌻", "🍯"],
             music: "assets/music/teddy-day.mp3",
+            stages: ['greeting', 'announce', 'chat', 'memories', 'teddy', 'reveal'],
             memories: [
                 "Sometimes I wish I was a teddy...",
                 "So I could be with you always.",
@@ -232,6 +339,7 @@ const config = {
             bgStart: "#FFF0F5", bgMid: "#FFD0E0", bgEnd: "#FFB0C8",
             petalSymbols: ["❤️", "💘", "💕", "💗", "💖", "🌹", "🎉", "✨", "🎆"],
             music: "assets/music/valentine-day.mp3",       // Valentine's Day - Special!
+            stages: ['greeting', 'announce', 'chat', 'memories', 'valentine', 'reveal'],
             memories: [
                 "We've walked through this week together...",
                 "7 days of love. 7 promises kept.",
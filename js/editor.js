@@ -0,0 +1,734 @@
+// =========================================================================
+// Config Editor
+// =========================================================================
+// Edits a copy of `config` (from config.js) with plain forms, shows it live in an
+// index.html preview frame and downloads the result as a ready-to-commit config.js.
+
+const DRAFT_STORAGE_KEY = 'valentineWeek.editorDraft';
+const EDITOR_DEFAULT_STAGES = ['greeting', 'announce', 'chat', 'memories', 'reveal'];
+const EDITOR_STAGES = ['greeting', 'announce', 'chat', 'memories', 'reveal', 'proposal', 'teddy', 'valentine'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Files shipped in assets/ (anything else can still be typed in as a path or URL)
+const BUNDLED_MUSIC = [
+    'assets/music/default-bg.mp3',
+    'assets/music/rose-day.mp3',
+    'assets/music/propose-day.mp3',
+    'assets/music/chocolate-day.mp3',
+    'assets/music/teddy-day.mp3',
+    'assets/music/promise-day.mp3',
+    'assets/music/hug-day.mp3',
+    'assets/music/kiss-day.mp3',
+    'assets/music/valentine-day.mp3'
+];
+const BUNDLED_SVGS = [
+    'balloon', 'cherry-blossom', 'chocolate', 'cupid-arrow', 'double-hearts', 'happy', 'heart', 'love-letter',
+    'music-note', 'ring', 'rose', 'sakura-branch', 'sakura-petal', 'smiling', 'sparkle-star', 'white-flower'
+].map(name => `assets/svgs/${name}.svg`);
+
+const GENERAL_FIELDS = [
+    { key: 'recipientName', label: 'Their name', type: 'text', required: true },
+    { key: 'nickname', label: 'Greeting name', type: 'text', hint: 'Used in "Hey ..." and on the countdown' },
+    { key: 'senderName', label: 'Your name', type: 'text', hint: 'Signs the love letter' },
+    { key: 'letterSignOff', label: 'Letter sign-off', type: 'text' },
+    { key: 'language', label: 'Language', type: 'text', hint: 'Language this config is written in, e.g. "en" or "ar"' },
+    { key: 'theme', label: 'Theme pack', type: 'text', hint: 'classic, minimal, retro or night' },
+    { key: 'nightHours', label: 'Dark mode hours', type: 'text', hint: 'e.g. "20:00-06:00"' },
+    { key: 'year', label: 'Year', type: 'number' },
+    { key: 'timezone', label: 'Their timezone', type: 'timezone', hint: 'Empty = the viewer\'s own clock' },
+    { key: 'unlockTime', label: 'Days unlock at', type: 'time' },
+    { key: 'recapDays', label: 'Recap stays open (days)', type: 'number' },
+    { key: 'beatSensitivity', label: 'Effects beat sensitivity', type: 'number', hint: '0 = strong beats only, 1 = nearly every beat' },
+    { key: 'responseEndpoint', label: 'Response endpoint', type: 'url', hint: 'Optional - receives their answers' },
+    { key: 'allowReplies', label: 'Let them reply', type: 'checkbox', hint: 'A "Reply to me" chat at the end of each day' }
+];
+
+const MEDIA_FIELDS = [
+    { key: 'defaultMusic', label: 'Music outside the week', type: 'music' }
+];
+
+const DAY_FIELDS = [
+    { key: 'date', label: 'Date', type: 'text', required: true, hint: 'e.g. "Feb 7" or "Feb 9 - 10"' },
+    { key: 'unlockTime', label: 'Unlocks at', type: 'time', hint: 'Empty = the default time' },
+    { key: 'dayNumber', label: 'Day label', type: 'text' },
+    { key: 'title', label: 'Title', type: 'text', required: true },
+    { key: 'subtitle', label: 'Subtitle', type: 'text', wide: true },
+    { key: 'icon', label: 'Icon', type: 'text' },
+    { key: 'icons', label: 'Card icons', type: 'icons' },
+    { key: 'quote', label: 'Quote', type: 'multiline', wide: true },
+    { key: 'message', label: 'Message', type: 'multiline', wide: true },
+    { key: 'themeColor', label: 'Theme colour', type: 'color' },
+    { key: 'bgStart', label: 'Background (start)', type: 'color' },
+    { key: 'bgMid', label: 'Background (middle)', type: 'color' },
+    { key: 'bgEnd', label: 'Background (end)', type: 'color' },
+    { key: 'theme', label: 'Theme pack', type: 'text', hint: 'Empty = the week\'s theme' },
+    { key: 'petalSymbols', label: 'Falling petals', type: 'symbols', wide: true, hint: 'Separate with spaces' },
+    { key: 'music', label: 'Song', type: 'music', wide: true },
+    { key: 'lyrics', label: 'Lyrics file', type: 'text', hint: 'Optional .lrc or .vtt for this day\'s song' },
+    { key: 'musicStart', label: 'Song starts at', type: 'text', hint: 'Seconds or m:ss, e.g. 1:05' },
+    { key: 'musicFadeIn', label: 'Song fade-in (seconds)', type: 'number' },
+    { key: 'letter', label: 'Love letter', type: 'multiline', wide: true, rows: 8, hint: 'Shows a "Read My Letter" button on this day' }
+];
+
+// Top-level comments written into the downloaded config.js
+const KEY_COMMENTS = {
+    year: 'Year for Valentine\'s Week (change this each year!)',
+    timezone: 'Recipient\'s timezone (IANA name, e.g. "Asia/Kolkata"). Leave empty to use the viewer\'s own timezone.',
+    unlockTime: 'Time each day unlocks on the recipient\'s clock ("HH:MM", 24h). A day can override it with `unlockTime`.',
+    recapDays: 'Days the recap gallery stays open after the week (0 = go straight to the countdown)',
+    beatSensitivity: 'How easily the effects react to the music\'s beat: 0 = only strong beats, 1 = nearly every beat',
+    responseEndpoint: 'Optional URL that receives the recipient\'s answers as JSON POSTs',
+    allowReplies: 'Show a "Reply to me" chat at the end of each day (replies are also sent to responseEndpoint)',
+    recipientName: 'Your Name / Recipient Name',
+    nickname: 'What the greeting ("Hey ...") and the Coming Soon overlay ("For ...") call them',
+    senderName: 'Your name, signed at the end of the love letter',
+    letterSignOff: 'Written above your name at the end of the letter',
+    meta: 'Browser tab title and link-preview text (also update the og: tags in index.html)',
+    stageOptions: 'Default copy for the story stages on every day (a day\'s own `stageOptions` override these)',
+    floatingIcons: 'Background Icons (Floating)',
+    defaultMusic: 'Default music for outside Valentine\'s Week',
+    musicList: 'Music Playlist: plays after each day\'s own song. Songs can be a path or { src, title, artist }',
+    days: 'Day-by-Day Configuration'
+};
+
+let draft = null;
+let activeDayIndex = 0;
+let previewStage = '';
+let previewTimer = null;
+let previewAudio = null;
+
+// The preview frame (index.html?preview=...) reads the unsaved draft through this
+window.getPreviewConfig = () => draft;
+
+// ============ DRAFT ============
+function cloneConfig(source) {
+    return JSON.parse(JSON.stringify(source));
+}
+
+function loadDraft() {
+    try {
+        const saved = localStorage.getItem(DRAFT_STORAGE_KEY);
+        if (saved) return JSON.parse(saved);
+    } catch (e) {
+        console.warn('⚠️ Could not read the saved draft, starting from config.js', e);
+    }
+    return cloneConfig(config);
+}
+
+function saveDraft() {
+    try {
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+        setStatus('Draft saved in this browser');
+    } catch (e) {
+        setStatus('⚠️ Could not save the draft in this browser');
+    }
+}
+
+function onDraftChange() {
+    saveDraft();
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(refreshPreview, 700);
+}
+
+function setStatus(text) {
+    document.getElementById('editorStatus').textContent = text;
+}
+
+// Quotes and letters use <br> for line breaks; the forms show real line breaks instead
+function toEditableText(html) {
+    return (html || '').replace(/<br\s*\/?>\n?/gi, '\n');
+}
+
+function fromEditableText(text) {
+    return text.replace(/\r?\n/g, '<br>');
+}
+
+function setOrDelete(target, key, value) {
+    if (value === '' || value === null || (Array.isArray(value) && !value.length)) {
+        delete target[key];
+    } else {
+        target[key] = value;
+    }
+}
+
+// ============ FIELDS ============
+function createField(field, target) {
+    const wrapper = document.createElement('label');
+    wrapper.className = `field${field.wide ? ' wide' : ''}`;
+    wrapper.innerHTML = `<span class="field-label">${field.label}${field.required ? ' *' : ''}</span>`;
+
+    const update = (value) => {
+        if (field.required && value === '') return; // Keep the last good value until it's filled in again
+        setOrDelete(target, field.key, value);
+        onDraftChange();
+    };
+    const value = target[field.key];
+    let input;
+
+    switch (field.type) {
+        case 'multiline':
+            input = document.createElement('textarea');
+            input.rows = field.rows || 3;
+            input.value = toEditableText(value);
+            input.addEventListener('input', () => update(input.value.trim() ? fromEditableText(input.value) : ''));
+            break;
+        case 'color':
+            input = createColorInput(value, update);
+            break;
+        case 'icons':
+            input = createIconsInput(target, field.key);
+            break;
+        case 'symbols':
+            input = document.createElement('input');
+            input.value = (value || []).join(' ');
+            input.addEventListener('input', () => update(input.value.split(/\s+/).filter(Boolean)));
+            break;
+        case 'music':
+            input = createMusicInput(value, update);
+            break;
+        case 'checkbox':
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === true;
+            input.addEventListener('change', () => update(input.checked));
+            break;
+        default:
+            input = document.createElement('input');
+            input.type = { number: 'number', time: 'time', url: 'url' }[field.type] || 'text';
+            if (field.type === 'number') input.step = 'any';
+            if (field.type === 'timezone') input.setAttribute('list', 'timezoneList');
+            input.value = value === undefined ? '' : value;
+            input.addEventListener('input', () => {
+                const raw = input.value.trim();
+                update(field.type === 'number' && raw !== '' ? Number(raw) : raw);
+            });
+    }
+
+    wrapper.appendChild(input);
+    if (field.hint) {
+        const hint = document.createElement('small');
+        hint.className = 'field-hint';
+        hint.textContent = field.hint;
+        wrapper.appendChild(hint);
+    }
+    return wrapper;
+}
+
+function createColorInput(value, update) {
+    const group = document.createElement('div');
+    group.className = 'color-input';
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    const text = document.createElement('input');
+    text.value = value || '';
+    text.placeholder = '#ff007f';
+    if (/^#[0-9a-f]{6}$/i.test(value || '')) picker.value = value;
+
+    picker.addEventListener('input', () => {
+        text.value = picker.value;
+        update(picker.value);
+    });
+    text.addEventListener('input', () => {
+        if (/^#[0-9a-f]{6}$/i.test(text.value)) picker.value = text.value;
+        update(text.value.trim());
+    });
+    group.append(picker, text);
+    return group;
+}
+
+function createIconsInput(target, key) {
+    const group = document.createElement('div');
+    group.className = 'icons-input';
+    const icons = target[key] || [];
+    [0, 1, 2].forEach(i => {
+        const input = document.createElement('input');
+        input.value = icons[i] || '';
+        input.placeholder = target.icon || '';
+        input.addEventListener('input', () => {
+            const next = [0, 1, 2].map(j => group.children[j].value.trim());
+            setOrDelete(target, key, next.every(Boolean) ? next : []);
+            onDraftChange();
+        });
+        group.appendChild(input);
+    });
+    return group;
+}
+
+function getTrackSrc(entry) {
+    return entry && typeof entry === 'object' ? entry.src : entry;
+}
+
+// A song is saved as a plain path, or as { src, title, artist } once it has details
+function createMusicInput(value, update) {
+    const track = value && typeof value === 'object' ? value : {};
+    const group = document.createElement('div');
+    group.className = 'music-input';
+
+    const makeInput = (current, placeholder) => {
+        const input = document.createElement('input');
+        input.value = current || '';
+        input.placeholder = placeholder;
+        input.addEventListener('input', () => {
+            const src = path.value.trim();
+            const title = titleInput.value.trim();
+            const artist = artistInput.value.trim();
+            if (!src) update('');
+            else if (title || artist) update(Object.assign({ src }, title && { title }, artist && { artist }));
+            else update(src);
+        });
+        return input;
+    };
+    const path = makeInput(getTrackSrc(value), 'assets/music/...');
+    path.setAttribute('list', 'musicAssets');
+    path.className = 'music-path';
+    const titleInput = makeInput(track.title, 'Song title');
+    const artistInput = makeInput(track.artist, 'Artist');
+
+    const listen = document.createElement('button');
+    listen.type = 'button';
+    listen.className = 'icon-btn';
+    listen.title = 'Listen';
+    listen.innerHTML = '<i class="fas fa-play"></i>';
+    listen.addEventListener('click', () => toggleListen(path.value.trim(), listen));
+
+    group.append(path, listen, titleInput, artistInput);
+    return group;
+}
+
+function toggleListen(src, button) {
+    const playing = previewAudio && !previewAudio.paused && previewAudio.dataset.src === src;
+    if (previewAudio) previewAudio.pause();
+    document.querySelectorAll('.music-input .icon-btn i').forEach(icon => { icon.className = 'fas fa-play'; });
+    if (playing || !src) return;
+
+    previewAudio = new Audio(src);
+    previewAudio.dataset.src = src;
+    previewAudio.play().then(() => {
+        button.querySelector('i').className = 'fas fa-pause';
+    }).catch(() => setStatus(`⚠️ Couldn't play "${src}"`));
+}
+
+// ============ SORTABLE LISTS ============
+// Rows can be dragged or moved with the arrow buttons
+function renderSortableList(container, items, options) {
+    container.innerHTML = '';
+    const commit = () => {
+        options.onChange(items);
+        renderSortableList(container, items, options);
+    };
+    let dragFrom = null;
+
+    items.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'sortable-row';
+        row.draggable = true;
+        row.innerHTML = '<span class="drag-handle" title="Drag to reorder"><i class="fas fa-grip-vertical"></i></span>';
+
+        const input = options.createInput(item, (value) => {
+            items[index] = value;
+            options.onChange(items);
+        });
+        input.classList.add('sortable-input');
+        row.appendChild(input);
+
+        [['up', 'fa-arrow-up', -1], ['down', 'fa-arrow-down', 1]].forEach(([name, icon, step]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'icon-btn';
+            btn.title = `Move ${name}`;
+            btn.innerHTML = `<i class="fas ${icon}"></i>`;
+            btn.disabled = !items[index + step];
+            btn.addEventListener('click', () => {
+                items.splice(index + step, 0, items.splice(index, 1)[0]);
+                commit();
+            });
+            row.appendChild(btn);
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'icon-btn danger';
+        remove.title = 'Remove';
+        remove.innerHTML = '<i class="fas fa-xmark"></i>';
+        remove.addEventListener('click', () => {
+            items.splice(index, 1);
+            commit();
+        });
+        row.appendChild(remove);
+
+        row.addEventListener('dragstart', (e) => {
+            dragFrom = index;
+            e.dataTransfer.effectAllowed = 'move';
+            row.classList.add('dragging');
+        });
+        row.addEventListener('dragend', () => row.classList.remove('dragging'));
+        row.addEventListener('dragover', (e) => e.preventDefault());
+        row.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (dragFrom === null || dragFrom === index) return;
+            items.splice(index, 0, items.splice(dragFrom, 1)[0]);
+            dragFrom = null;
+            commit();
+        });
+
+        container.appendChild(row);
+    });
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'editor-btn ghost small';
+    add.innerHTML = `<i class="fas fa-plus"></i> ${options.addLabel}`;
+    add.addEventListener('click', () => {
+        items.push(options.newItem());
+        commit();
+        const inputs = container.querySelectorAll('.sortable-input');
+        if (inputs.length) inputs[inputs.length - 1].focus();
+    });
+    container.appendChild(add);
+}
+
+// A memory is saved as plain text, or as { text, voice } once it has a voice note
+function createMemoryItemInput(value, onInput) {
+    const memory = value && typeof value === 'object' ? value : { text: value };
+    const group = document.createElement('div');
+    group.className = 'memory-input';
+
+    const text = document.createElement('input');
+    text.value = memory.text || '';
+    const voice = document.createElement('input');
+    voice.value = memory.voice || '';
+    voice.placeholder = 'Voice note (optional)';
+    voice.className = 'memory-voice';
+
+    const update = () => {
+        const clip = voice.value.trim();
+        onInput(clip ? { text: text.value, voice: clip } : text.value);
+    };
+    text.addEventListener('input', update);
+    voice.addEventListener('input', update);
+
+    group.append(text, voice);
+    return group;
+}
+
+function createStageItemInput(value, onInput) {
+    const select = document.createElement('select');
+    EDITOR_STAGES.concat(EDITOR_STAGES.includes(value) ? [] : [value]).forEach(name => {
+        select.add(new Option(name, name, false, name === value));
+    });
+    select.addEventListener('change', () => onInput(select.value));
+    return select;
+}
+
+// ============ GENERAL & MEDIA ============
+function renderGeneral() {
+    const general = document.getElementById('generalFields');
+    general.innerHTML = '';
+    GENERAL_FIELDS.forEach(field => general.appendChild(createField(field, draft)));
+
+    const media = document.getElementById('mediaFields');
+    media.innerHTML = '';
+    MEDIA_FIELDS.forEach(field => media.appendChild(createField(field, draft)));
+
+    if (!Array.isArray(draft.musicList)) draft.musicList = [];
+    renderSortableList(document.getElementById('musicListEditor'), draft.musicList, {
+        addLabel: 'Add song',
+        newItem: () => '',
+        createInput: createMusicInput,
+        onChange: onDraftChange
+    });
+
+    renderSvgPicker();
+}
+
+function renderSvgPicker() {
+    const picker = document.getElementById('floatingIconPicker');
+    picker.innerHTML = '';
+    if (!Array.isArray(draft.floatingIcons)) draft.floatingIcons = [];
+    const choices = Array.from(new Set(BUNDLED_SVGS.concat(draft.floatingIcons)));
+
+    choices.forEach(src => {
+        const tile = document.createElement('button');
+        tile.type = 'button';
+        tile.className = `svg-tile${draft.floatingIcons.includes(src) ? ' selected' : ''}`;
+        tile.title = src;
+        tile.innerHTML = `<img src="${src}" alt="">`;
+        tile.addEventListener('click', () => {
+            const at = draft.floatingIcons.indexOf(src);
+            if (at === -1) draft.floatingIcons.push(src);
+            else draft.floatingIcons.splice(at, 1);
+            tile.classList.toggle('selected', at === -1);
+            onDraftChange();
+        });
+        picker.appendChild(tile);
+    });
+}
+
+function fillAssetLists() {
+    const music = new Set(BUNDLED_MUSIC.concat((draft.musicList || []).map(getTrackSrc), getTrackSrc(draft.defaultMusic) || []));
+    draft.days.forEach(day => { if (getTrackSrc(day.music)) music.add(getTrackSrc(day.music)); });
+    const musicList = document.getElementById('musicAssets');
+    musicList.innerHTML = '';
+    music.forEach(src => musicList.appendChild(new Option(src)));
+
+    if (!document.getElementById('timezoneList') && Intl.supportedValuesOf) {
+        const zones = document.createElement('datalist');
+        zones.id = 'timezoneList';
+        Intl.supportedValuesOf('timeZone').forEach(zone => zones.appendChild(new Option(zone)));
+        document.body.appendChild(zones);
+    }
+}
+
+// ============ DAYS ============
+function renderDayTabs() {
+    const tabs = document.getElementById('dayTabs');
+    tabs.innerHTML = '';
+    draft.days.forEach((day, index) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = `day-tab${index === activeDayIndex ? ' active' : ''}`;
+        tab.textContent = `${day.icon || '💝'} ${day.title || `Day ${index + 1}`}`;
+        tab.addEventListener('click', () => selectDay(index));
+        tabs.appendChild(tab);
+    });
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'day-tab add';
+    add.innerHTML = '<i class="fas fa-plus"></i> Add day';
+    add.addEventListener('click', addDay);
+    tabs.appendChild(add);
+}
+
+function renderDayForm() {
+    const form = document.getElementById('dayForm');
+    form.innerHTML = '';
+    const day = draft.days[activeDayIndex];
+    if (!day) return;
+
+    const grid = document.createElement('div');
+    grid.className = 'field-grid';
+    DAY_FIELDS.forEach(field => grid.appendChild(createField(field, day)));
+    form.appendChild(grid);
+
+    // Keep the tab label in step with the title and icon
+    grid.addEventListener('input', () => {
+        const tab = document.querySelectorAll('#dayTabs .day-tab')[activeDayIndex];
+        if (tab) tab.textContent = `${day.icon || '💝'} ${day.title || `Day ${activeDayIndex + 1}`}`;
+    });
+
+    form.appendChild(createHeading('Memories', 'One line each, shown one after another. <strong>bold</strong> works. A voice note plays over its line.'));
+    if (!Array.isArray(day.memories)) day.memories = [];
+    const memories = document.createElement('div');
+    memories.className = 'sortable-list';
+    renderSortableList(memories, day.memories, {
+        addLabel: 'Add memory',
+        newItem: () => '',
+        createInput: createMemoryItemInput,
+        onChange: onDraftChange
+    });
+    form.appendChild(memories);
+
+    form.appendChild(createHeading('Story stages', 'Played in this order. Add proposal, teddy or valentine for an interactive moment.'));
+    const stageItems = Array.isArray(day.stages) && day.stages.length ? day.stages : EDITOR_DEFAULT_STAGES.slice();
+    const stages = document.createElement('div');
+    stages.className = 'sortable-list';
+    renderSortableList(stages, stageItems, {
+        addLabel: 'Add stage',
+        newItem: () => 'reveal',
+        createInput: createStageItemInput,
+        onChange: (items) => {
+            const isDefault = items.join() === EDITOR_DEFAULT_STAGES.join();
+            setOrDelete(day, 'stages', isDefault ? [] : items.slice());
+            renderPreviewStageOptions();
+            onDraftChange();
+        }
+    });
+    form.appendChild(stages);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'editor-btn danger small';
+    remove.innerHTML = '<i class="fas fa-trash"></i> Remove this day';
+    remove.disabled = draft.days.length === 1;
+    remove.addEventListener('click', () => {
+        if (!confirm(`Remove "${day.title}"?`)) return;
+        draft.days.splice(activeDayIndex, 1);
+        selectDay(Math.min(activeDayIndex, draft.days.length - 1));
+        onDraftChange();
+    });
+    form.appendChild(remove);
+}
+
+function createHeading(text, hint) {
+    const heading = document.createElement('h3');
+    heading.className = 'field-heading';
+    heading.innerHTML = `${text} <small>${hint}</small>`;
+    return heading;
+}
+
+// "Feb 9 - 10" -> "Feb 11"; keeps new days after the last one
+function getDateAfter(label) {
+    const match = String(label || '').match(/([A-Za-z]{3})[a-z]*\s+(\d{1,2})(?:\s*-\s*(?:([A-Za-z]{3})[a-z]*\s+)?(\d{1,2}))?\s*$/);
+    if (!match) return '';
+    const month = MONTH_NAMES.findIndex(name => name.toLowerCase() === (match[3] || match[1]).toLowerCase());
+    if (month === -1) return '';
+    const next = new Date(2000, month, parseInt(match[4] || match[2], 10) + 1);
+    return `${MONTH_NAMES[next.getMonth()]} ${next.getDate()}`;
+}
+
+function addDay() {
+    const last = draft.days[draft.days.length - 1] || {};
+    const day = cloneConfig(last);
+    delete day.letter;
+    delete day.stages;
+    delete day.stageOptions;
+    Object.assign(day, {
+        date: getDateAfter(last.date) || last.date || 'Feb 14',
+        title: 'New Day',
+        dayNumber: `Day ${draft.days.length + 1}`,
+        memories: []
+    });
+    draft.days.push(day);
+    selectDay(draft.days.length - 1);
+    onDraftChange();
+}
+
+function selectDay(index) {
+    activeDayIndex = index;
+    previewStage = '';
+    renderDayTabs();
+    renderDayForm();
+    renderPreviewControls();
+    refreshPreview();
+}
+
+// ============ PREVIEW ============
+function renderPreviewControls() {
+    const daySelect = document.getElementById('previewDaySelect');
+    daySelect.innerHTML = '';
+    draft.days.forEach((day, index) => {
+        daySelect.add(new Option(`${day.icon || '💝'} ${day.title}`, index, false, index === activeDayIndex));
+    });
+    renderPreviewStageOptions();
+}
+
+function renderPreviewStageOptions() {
+    const day = draft.days[activeDayIndex];
+    const stages = Array.isArray(day.stages) && day.stages.length ? day.stages : EDITOR_DEFAULT_STAGES;
+    const stageSelect = document.getElementById('previewStageSelect');
+    stageSelect.innerHTML = '';
+    stageSelect.add(new Option('The beginning', ''));
+    stages.forEach(name => stageSelect.add(new Option(name, name, false, name === previewStage)));
+    if (!stages.includes(previewStage)) previewStage = '';
+}
+
+function refreshPreview() {
+    clearTimeout(previewTimer);
+    const frame = document.getElementById('previewFrame');
+    const params = new URLSearchParams({ preview: activeDayIndex });
+    if (previewStage) params.set('stage', previewStage);
+    const src = `index.html?${params}`;
+
+    if (frame.getAttribute('src') === src && frame.contentWindow) {
+        frame.contentWindow.location.reload();
+    } else {
+        frame.setAttribute('src', src);
+    }
+}
+
+// ============ EXPORT ============
+function isIdentifier(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key);
+}
+
+// Writes values the way config.js is laid out: unquoted keys, short lists on one line
+function toSource(value, indent) {
+    const pad = '    '.repeat(indent);
+    const inner = '    '.repeat(indent + 1);
+
+    if (Array.isArray(value)) {
+        if (!value.length) return '[]';
+        const parts = value.map(item => toSource(item, indent + 1));
+        const oneLine = `[${parts.join(', ')}]`;
+        if (value.every(item => typeof item !== 'object') && oneLine.length + pad.length < 100) return oneLine;
+        return `[\n${parts.map(part => inner + part).join(',\n')}\n${pad}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (!keys.length) return '{}';
+        const parts = keys.map(key => `${isIdentifier(key) ? key : JSON.stringify(key)}: ${toSource(value[key], indent + 1)}`);
+        return `{\n${parts.map(part => inner + part).join(',\n')}\n${pad}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function buildConfigSource(source) {
+    const lines = Object.keys(source).map(key => {
+        const comment = KEY_COMMENTS[key] ? `    // ${KEY_COMMENTS[key]}\n` : '';
+        return `${comment}    ${isIdentifier(key) ? key : JSON.stringify(key)}: ${toSource(source[key], 1)}`;
+    });
+
+    return `// =========================================================================
+// Valentine's Week Configuration
+// =========================================================================
+// Customize this file to personalize the experience!
+// (Made with editor.html - open it again to keep editing.)
+
+const config = {
+${lines.join(',\n\n')}
+};
+`;
+}
+
+function downloadConfig() {
+    const blob = new Blob([buildConfigSource(draft)], { type: 'text/javascript' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'config.js';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setStatus('config.js downloaded - replace the one in your repository with it');
+}
+
+function resetDraft() {
+    if (!confirm('Throw away your changes and start again from config.js?')) return;
+    localStorage.removeItem(DRAFT_STORAGE_KEY);
+    draft = cloneConfig(config);
+    activeDayIndex = 0;
+    renderEditor();
+    setStatus('Started over from config.js');
+}
+
+// ============ INIT ============
+function renderEditor() {
+    if (!Array.isArray(draft.days) || !draft.days.length) draft.days = cloneConfig(config.days);
+    activeDayIndex = Math.min(activeDayIndex, draft.days.length - 1);
+    fillAssetLists();
+    renderGeneral();
+    renderDayTabs();
+    renderDayForm();
+    renderPreviewControls();
+    refreshPreview();
+}
+
+function initEditor() {
+    draft = loadDraft();
+
+    document.getElementById('downloadConfigBtn').addEventListener('click', downloadConfig);
+    document.getElementById('resetDraftBtn').addEventListener('click', resetDraft);
+    document.getElementById('previewReplayBtn').addEventListener('click', refreshPreview);
+    document.getElementById('previewDaySelect').addEventListener('change', (e) => selectDay(parseInt(e.target.value, 10)));
+    document.getElementById('previewStageSelect').addEventListener('change', (e) => {
+        previewStage = e.target.value;
+        refreshPreview();
+    });
+
+    renderEditor();
+    if (localStorage.getItem(DRAFT_STORAGE_KEY)) setStatus('Restored your unsaved draft');
+}
+
+initEditor();
@@ -3,70 +3,307 @@ let currentDayIndex = 0;
 let isPlaying = false;
 let petals = [];
 let isDateLocked = true; // Set to true for production (date-based), false for testing
-let debugDate = null; // For debugging: set to test specific dates like '2-7'
+let allowPastDays = false; // With date locking on, also let the recipient revisit days that already unlocked
+let isPreview = false; // Set when editor.html shows this page in its preview frame
+let debugDate = null; // For debugging: set to test specific dates like '2026-02-07' (or '2-7')
 let showDebugPanel = false; // Set to true to show the wrench icon, false to hide it
 
-// ============ DATE MAPPING ============
-const dateToDay = {
-    '2-7': 0,   // Feb 7 - Rose Day
-    '2-8': 1,   // Feb 8 - Propose Day
-    '2-9': 2,   // Feb 9 - Chocolate Day
-    '2-10': 3,  // Feb 10 - Teddy Day
-    '2-11': 4,  // Feb 11 - Promise Day
-    '2-12': 5,  // Feb 12 - Hug Day
-    '2-13': 6,  // Feb 13 - Kiss Day
-    '2-14': 7   // Feb 14 - Valentine's Day
+// ============ SCHEDULE ============
+const RECAP_INDEX = -2; // Landing "day" for the post-week recap gallery
+const MONTH_INDEX = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
 };
 
-const dayNames = {
-    0: 'Rose Day',
-    1: 'Propose Day',
-    2: 'Chocolate Day',
-    3: 'Teddy Day',
-    4: 'Promise Day',
-    5: 'Hug Day',
-    6: 'Kiss Day',
-    7: "Valentine's Day"
-};
+// Parses a day's `date` label into month/day parts.
+// Accepts "Feb 7", "February 7", "Feb 7 - 9" and "Feb 28 - Mar 1" (multi-day spans).
+function parseDateRange(dateStr) {
+    const parts = String(dateStr || '').trim().split(/\s*[-–—]\s*/);
+    const startMatch = parts[0].match(/^([A-Za-z]+)\.?\s+(\d{1,2})$/);
+    if (!startMatch) return null;
+
+    const startMonth = MONTH_INDEX[startMatch[1].slice(0, 3).toLowerCase()];
+    if (startMonth === undefined) return null;
+    const start = { month: startMonth, day: parseInt(startMatch[2], 10) };
+
+    let end = start;
+    if (parts[1]) {
+        const endMatch = parts[1].match(/^(?:([A-Za-z]+)\.?\s+)?(\d{1,2})$/);
+        if (!endMatch) return null;
+        const endMonth = endMatch[1] ? MONTH_INDEX[endMatch[1].slice(0, 3).toLowerCase()] : startMonth;
+        if (endMonth === undefined) return null;
+        end = { month: endMonth, day: parseInt(endMatch[2], 10) };
+    }
 
-function getTodaysDayIndex() {
-    // Use debug date if set
+    return { start, end };
+}
+
+function getScheduleYear() {
+    return config.year || new Date().getFullYear();
+}
+
+// Whether the recipient may open this day right now
+function isDayUnlocked(index) {
+    if (!isDateLocked) return true;
+    const entry = schedule.find(item => item.index === index);
+    if (!entry) return false;
+    const now = getNow();
+    if (allowPastDays) return entry.start <= now;
+    return now >= entry.start && now < entry.end;
+}
+
+// End of the post-week recap window (config.recapDays after the last day closes)
+function getRecapEnd() {
+    if (!schedule.length || !(config.recapDays > 0)) return null;
+    const lastEnd = schedule[schedule.length - 1].end;
+    return new Date(lastEnd.getTime() + config.recapDays * 24 * 60 * 60 * 1000);
+}
+
+// Day the page should open on. When past days are browsable, the gap between two
+// days keeps showing the most recent one instead of the Coming Soon overlay.
+// Right after the week, RECAP_INDEX stands for the recap gallery.
+function getLandingDayIndex() {
+    const todayIndex = getTodaysDayIndex();
+    if (todayIndex !== -1 || !schedule.length) return todayIndex;
+
+    const now = getNow();
+    if (now >= schedule[schedule.length - 1].end) {
+        const recapEnd = getRecapEnd();
+        return recapEnd && now < recapEnd ? RECAP_INDEX : -1;
+    }
+    if (!allowPastDays) return -1;
+    const unlocked = schedule.filter(entry => entry.start <= now);
+    return unlocked.length ? unlocked[unlocked.length - 1].index : -1;
+}
+
+// ============ TIMEZONE ============
+// Days unlock by the recipient's clock (config.timezone), not the browser's,
+// so the surprise lands at the right moment wherever they are travelling.
+let scheduleTimeZone;
+
+function getScheduleTimeZone() {
+    if (scheduleTimeZone !== undefined) return scheduleTimeZone;
+    scheduleTimeZone = null;
+    if (config.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+            scheduleTimeZone = config.timezone;
+        } catch (e) {
+            console.warn(`⚠️ Unknown timezone "${config.timezone}", using the browser's timezone instead`);
+        }
+    }
+    return scheduleTimeZone;
+}
+
+// Wall-clock parts of an instant as seen in the schedule timezone
+function getZonedParts(date) {
+    const timeZone = getScheduleTimeZone();
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(), month: date.getMonth(), day: date.getDate(),
+            hour: date.getHours(), minute: date.getMinutes()
+        };
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        year: +parts.year, month: +parts.month - 1, day: +parts.day,
+        hour: +parts.hour % 24, minute: +parts.minute, second: +parts.second
+    };
+}
+
+// Instant at which the schedule timezone's clock shows the given wall time.
+// Month/day overflow is allowed (day 32 rolls into the next month) just like new Date().
+function zonedDate(year, month, day, hour = 0, minute = 0) {
+    if (!getScheduleTimeZone()) return new Date(year, month, day, hour, minute);
+
+    const wallTime = Date.UTC(year, month, day, hour, minute);
+    const offsetAt = (instant) => {
+        const p = getZonedParts(new Date(instant));
+        return Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+    };
+
+    // Two passes settle the offset across DST changes
+    let instant = wallTime - offsetAt(wallTime);
+    instant = wallTime - offsetAt(instant);
+    return new Date(instant);
+}
+
+// Reads "7:00", "07:30" or "7:30 pm" into hours/minutes
+function parseUnlockTime(value) {
+    if (!value) return { hour: 0, minute: 0 };
+    const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (match) {
+        let hour = parseInt(match[1], 10);
+        const minute = parseInt(match[2] || '0', 10);
+        const meridiem = match[3] && match[3].toLowerCase();
+        if (meridiem === 'pm' && hour < 12) hour += 12;
+        if (meridiem === 'am' && hour === 12) hour = 0;
+        if (hour < 24 && minute < 60) return { hour, minute };
+    }
+    console.warn(`⚠️ Could not read unlock time "${value}", using midnight`);
+    return { hour: 0, minute: 0 };
+}
+
+// Builds the unlock calendar for a given year from config.days.
+// Each entry covers [start, end): it opens at its unlock time on the first date and stays
+// open until the same time after its last date, or until the next day unlocks.
+// Days are expected in calendar order, so a day that falls before the previous one
+// rolls over into the next year (Dec -> Jan).
+function buildSchedule(year) {
+    const entries = [];
+    let entryYear = year;
+    // Runs once before the config is checked, so it skips what validation will report
+    if (!Array.isArray(config.days)) return entries;
+
+    config.days.forEach((day, index) => {
+        if (!day || typeof day !== 'object') return;
+        const range = parseDateRange(day.date);
+        if (!range) {
+            console.warn(`⚠️ Could not read date "${day.date}" for ${day.title} - it won't unlock by date`);
+            return;
+        }
+
+        const time = parseUnlockTime(day.unlockTime || config.unlockTime);
+        const previous = entries[entries.length - 1];
+        let start = zonedDate(entryYear, range.start.month, range.start.day, time.hour, time.minute);
+        while (previous && start < previous.start) {
+            entryYear++;
+            start = zonedDate(entryYear, range.start.month, range.start.day, time.hour, time.minute);
+        }
+
+        let end = zonedDate(entryYear, range.end.month, range.end.day + 1, time.hour, time.minute);
+        if (end <= start) end = zonedDate(entryYear + 1, range.end.month, range.end.day + 1, time.hour, time.minute);
+
+        // A later day unlocking early closes the previous one
+        if (previous && previous.end > start) previous.end = start;
+
+        // The plain calendar date it unlocks on, which sealed days use in their key
+        const dateKey = `${entryYear}-${String(range.start.month + 1).padStart(2, '0')}-${String(range.start.day).padStart(2, '0')}`;
+        entries.push({ index, day, start, end, dateKey });
+    });
+
+    return entries;
+}
+
+let schedule = buildSchedule(getScheduleYear());
+
+function padDatePart(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toDateKey(date) {
+    const parts = getZonedParts(date);
+    return `${parts.year}-${padDatePart(parts.month + 1)}-${padDatePart(parts.day)}`;
+}
+
+function formatScheduleDate(date, month = 'short') {
+    const timeZone = getScheduleTimeZone() || undefined;
+    return date.toLocaleDateString(currentLocale, { month, day: 'numeric', timeZone });
+}
+
+// debugDate accepts a full ISO timestamp, 'YYYY-MM-DD', or the older 'M-D' form
+// (read against the schedule year). Bare dates use noon on the recipient's clock so
+// the simulated moment sits safely inside the chosen day.
+function parseDebugDate(value) {
+    const text = String(value);
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return zonedDate(+match[1], +match[2] - 1, +match[3], 12);
+    match = text.match(/^(\d{1,2})-(\d{1,2})$/);
+    if (match) return zonedDate(getScheduleYear(), +match[1] - 1, +match[2], 12);
+    if (text.includes('T')) {
+        const instant = new Date(text);
+        if (!isNaN(instant)) return instant;
+    }
+    return null;
+}
+
+// A debug date starts a simulated clock that keeps ticking, so countdowns still move
+let debugClock = null;
+
+function getNow() {
     if (debugDate) {
-        if (dateToDay.hasOwnProperty(debugDate)) {
-            return dateToDay[debugDate];
+        if (!debugClock || debugClock.value !== debugDate) {
+            const simulated = parseDebugDate(debugDate);
+            debugClock = simulated ? { value: debugDate, offset: simulated.getTime() - Date.now() } : null;
+            if (!simulated) console.warn(`⚠️ Ignoring unreadable debugDate "${debugDate}"`);
         }
-        return -1;
+        if (debugClock) return new Date(Date.now() + debugClock.offset);
     }
+    return new Date();
+}
 
-    // Get current date in user's timezone (international)
-    const now = new Date();
-    const month = now.getMonth() + 1; // 0-indexed
-    const day = now.getDate();
-    const key = `${month}-${day}`;
+function findScheduleEntry(date) {
+    return schedule.find(entry => date >= entry.start && date < entry.end) || null;
+}
 
-    console.log(`📅 Current date: ${now.toLocaleDateString()} (${key})`);
+// Next day (in this year's schedule) that unlocks after the given moment
+function getNextScheduleEntry(date) {
+    return schedule.find(entry => entry.start > date) || null;
+}
 
-    if (dateToDay.hasOwnProperty(key)) {
-        console.log(`✅ Today is ${dayNames[dateToDay[key]]}!`);
-        return dateToDay[key];
+// First day of the earliest upcoming week, looking at following years once this one is over
+function getNextWeekStart(date) {
+    const baseYear = getScheduleYear();
+    for (let offset = 0; offset <= 10; offset++) {
+        const entries = offset === 0 ? schedule : buildSchedule(baseYear + offset);
+        if (entries.length && entries[0].start > date) return entries[0].start;
     }
+    return null;
+}
 
-    // Before Feb 7 - show "Coming Soon" (return -1)
-    if (month < 2 || (month === 2 && day < 7)) {
-        console.log('⏳ Valentine\'s Week hasn\'t started yet!');
-        return -1;
+function getTodaysDayIndex() {
+    const now = getNow();
+    const entry = findScheduleEntry(now);
+
+    console.log(`📅 Current date: ${now.toLocaleDateString()} (${toDateKey(now)})`);
+
+    if (entry) {
+        console.log(`✅ Today is ${entry.day.title}!`);
+        return entry.index;
     }
 
-    // After Feb 14 - show "See you next year" (return -1 for overlay mode)
-    if (month > 2 || (month === 2 && day > 14)) {
+    if (!schedule.length || now < schedule[0].start) {
+        console.log('⏳ Valentine\'s Week hasn\'t started yet!');
+    } else if (now >= schedule[schedule.length - 1].end) {
         console.log('💕 Valentine\'s Week has ended, showing post-week message');
-        return -1;
+    } else {
+        console.log('🌙 Between surprise days, waiting for the next one');
     }
-
-    return 0; // Default to first day
+    return -1;
 }
 
 // ============ DEBUG PANEL ============
+// Options point at exact unlock instants, so per-day unlock times and timezones are honoured
+function buildDebugDateOptions() {
+    const halfDay = 12 * 60 * 60 * 1000;
+    const options = ['<option value="">Use Real Date</option>'];
+    if (schedule.length) {
+        const dayBefore = new Date(schedule[0].start.getTime() - halfDay);
+        options.push(`<option value="${dayBefore.toISOString()}">${formatScheduleDate(dayBefore)} (Before Week)</option>`);
+
+        schedule.forEach(entry => {
+            options.push(`<option value="${entry.start.toISOString()}">${entry.day.date} - ${entry.day.title}</option>`);
+        });
+
+        const dayAfter = new Date(schedule[schedule.length - 1].end.getTime() + halfDay);
+        options.push(`<option value="${dayAfter.toISOString()}">${formatScheduleDate(dayAfter)} (After Week)</option>`);
+
+        const recapEnd = getRecapEnd();
+        if (recapEnd) {
+            const afterRecap = new Date(recapEnd.getTime() + halfDay);
+            options.push(`<option value="${afterRecap.toISOString()}">${formatScheduleDate(afterRecap)} (After Recap)</option>`);
+        }
+    }
+    return options.join('\n');
+}
+
 function createDebugPanel() {
     const debugPanel = document.createElement('div');
     debugPanel.id = 'debugPanel';
@@ -111,19 +348,10 @@ function createDebugPanel() {
         <div class="debug-content">
             <div style="margin-bottom: 10px; font-weight: bold;">📅 Date Debug</div>
             <select id="debugDateSelect">
-                <option value="">Use Real Date</option>
-                <option value="2-6">Feb 6 (Before Week)</option>
-                <option value="2-7">Feb 7 - Rose Day</option>
-                <option value="2-8">Feb 8 - Propose Day</option>
-                <option value="2-9">Feb 9 - Chocolate Day</option>
-                <option value="2-10">Feb 10 - Teddy Day</option>
-                <option value="2-11">Feb 11 - Promise Day</option>
-                <option value="2-12">Feb 12 - Hug Day</option>
-                <option value="2-13">Feb 13 - Kiss Day</option>
-                <option value="2-14">Feb 14 - Valentine's</option>
-                <option value="2-15">Feb 15 (After Week)</option>
+                ${buildDebugDateOptions()}
             </select>
             <button onclick="applyDebugDate()">Apply Date</button>
+            <button onclick="exportResponses()">Export Responses</button>
             <div id="debugInfo" style="margin-top: 10px; font-size: 10px; opacity: 0.8;"></div>
         </div>
     `;
@@ -135,31 +363,38 @@ function applyDebugDate() {
     const select = document.getElementById('debugDateSelect');
     debugDate = select.value || null;
     isDateLocked = true;
+    unsealDays().then(reloadAtDebugDate); // The new date may have opened sealed days
+}
 
-    // Reload the experience
-    gsap.globalTimeline.clear();
+function reloadAtDebugDate() {
+    motion.globalTimeline.clear();
     resetAllStages(); // Reset all stages before switching
 
-    const todayIndex = getTodaysDayIndex();
+    const todayIndex = getLandingDayIndex();
 
     // Update global state and music first
     currentDayIndex = todayIndex;
+    scheduledDayIndex = todayIndex;
     setupMusicForDay();
+    applyNavigationMode();
 
-    if (todayIndex === -1) {
-        showComingSoon();
+    if (todayIndex < 0) {
+        showWaitingView(todayIndex);
     } else {
+        hideRecap();
         hideComingSoon();
         populateDayContent(config.days[currentDayIndex]);
+        createDayDots();
         playTimeline();
     }
     updateDebugInfo();
+    scheduleNextRollover();
 }
 
 function resetAllStages() {
     // Reset all regular stages
     document.querySelectorAll('.stage').forEach(stage => {
-        gsap.set(stage, { opacity: 0, visibility: 'hidden' });
+        motion.set(stage, { opacity: 0, visibility: 'hidden' });
     });
 
     // Reset special interactive stages
@@ -168,7 +403,7 @@ function resetAllStages() {
         const el = document.getElementById(id);
         if (el) {
             el.style.display = 'none';
-            gsap.set(el, { opacity: 0, visibility: 'hidden' });
+            motion.set(el, { opacity: 0, visibility: 'hidden' });
         }
     });
 
@@ -181,12 +416,17 @@ function resetAllStages() {
     if (giftBox) {
         giftBox.classList.remove('opened');
         giftBox.textContent = '🎁';
-        gsap.set(giftBox, { opacity: 1, scale: 1 });
+        motion.set(giftBox, { opacity: 1, scale: 1 });
     }
 
     // Reset proposal/valentine button positions
     const noButtons = document.querySelectorAll('#proposalNo, #valentineNo');
-    noButtons.forEach(btn => gsap.set(btn, { x: 0, y: 0 }));
+    noButtons.forEach(btn => motion.set(btn, { x: 0, y: 0 }));
+
+    // Let registered stages (including add-ons) clean up after themselves
+    Object.values(stageHandlers).forEach(handler => {
+        if (handler.reset) handler.reset();
+    });
 
     // Reset typing text
     const typingText = document.getElementById('typingText');
@@ -194,16 +434,19 @@ function resetAllStages() {
         typingText.style.display = 'none';
         typingText.classList.remove('sent');
     }
+
+    stopVoiceNote();
 }
 
 function updateDebugInfo() {
     const infoEl = document.getElementById('debugInfo');
     if (infoEl) {
         const now = new Date();
+        const day = config.days[currentDayIndex];
         infoEl.innerHTML = `
             Real: ${now.toLocaleDateString()}<br>
             Debug: ${debugDate || 'OFF'}<br>
-            Day: ${currentDayIndex >= 0 ? dayNames[currentDayIndex] : 'Coming Soon'}
+            Day: ${currentDayIndex >= 0 && day ? day.title : 'Coming Soon'}
         `;
     }
 }
@@ -219,7 +462,7 @@ const mainCard = document.getElementById('mainCard');
 const prevBtn = document.getElementById('prevBtn');
 const nextBtn = document.getElementById('nextBtn');
 const musicPlayer = document.getElementById('musicPlayer');
-const bgMusic = document.getElementById('bgMusic');
+let bgMusic = document.getElementById('bgMusic'); // The deck currently playing (see AUDIO ENGINE)
 const playPauseBtn = document.getElementById('playPauseBtn');
 const progressBar = document.getElementById('progressBar');
 const petalsContainer = document.getElementById('petalsContainer');
@@ -299,9 +542,11 @@ function setMusicPlayingState(playing) {
     isPlaying = playing;
     musicPlayer.classList.toggle('active', playing);
     playPauseBtn.innerHTML = `<i class="fas fa-${playing ? 'pause' : 'play'}"></i>`;
+    playPauseBtn.setAttribute('aria-label', playing ? 'Pause music' : 'Play music');
 }
 
 function getEffectSymbols() {
+    if (activeTheme.particles && activeTheme.particles.length) return activeTheme.particles;
     if (currentDayIndex >= 0 && config.days[currentDayIndex]) {
         const day = config.days[currentDayIndex];
         if (day.petalSymbols && day.petalSymbols.length) return day.petalSymbols;
@@ -311,7 +556,7 @@ function getEffectSymbols() {
 }
 
 function spawnEffectBurst() {
-    if (!dayEffectLayer) return;
+    if (!dayEffectLayer || prefersReducedMotion()) return;
     const symbols = getEffectSymbols();
     const burstCount = 10;
 
@@ -334,7 +579,7 @@ function spawnEffectBurst() {
 }
 
 function spawnEffectFloat() {
-    if (!dayEffectLayer) return;
+    if (!dayEffectLayer || prefersReducedMotion()) return;
     const symbols = getEffectSymbols();
     const count = 8;
 
@@ -357,7 +602,7 @@ function spawnEffectFloat() {
 }
 
 function spawnEffectSparkle() {
-    if (!dayEffectLayer) return;
+    if (!dayEffectLayer || prefersReducedMotion()) return;
     const sparkles = ['✨', '✦', '✧', '💫'];
     const count = 12;
 
@@ -381,7 +626,7 @@ function updateEffectToggleLabel() {
     if (!effectToggleBtn) return;
     effectToggleBtn.classList.toggle('active', effectsEnabled);
     effectToggleBtn.setAttribute('aria-pressed', effectsEnabled ? 'true' : 'false');
-    effectToggleBtn.textContent = effectsEnabled ? '✨ Effects On' : '✨ Effects Off';
+    effectToggleBtn.textContent = t(effectsEnabled ? 'effectsOn' : 'effectsOff');
 }
 
 function startEffects() {
@@ -392,7 +637,10 @@ function startEffects() {
     if (card) card.classList.add('effects-on');
     spawnEffectBurst();
     spawnEffectSparkle();
+    startBeatDetection();
+    // Timer fallback while the music can't be analysed (no Web Audio yet, or paused)
     effectsInterval = setInterval(() => {
+        if (isBeatDriven()) return;
         const mode = effectModes[Math.floor(Math.random() * effectModes.length)];
         if (mode === 'burst') spawnEffectBurst();
         if (mode === 'float') spawnEffectFloat();
@@ -405,6 +653,7 @@ function stopEffects() {
     updateEffectToggleLabel();
     const card = document.getElementById('revealCard');
     if (card) card.classList.remove('effects-on');
+    stopBeatDetection();
     if (effectsInterval) {
         clearInterval(effectsInterval);
         effectsInterval = null;
@@ -422,8 +671,100 @@ function toggleEffects() {
     }
 }
 
+// ============ BEAT-REACTIVE EFFECTS ============
+// With the audio engine running, an AnalyserNode watches the bass energy of the song.
+// A beat is a jump well above the recent average; config.beatSensitivity (0-1) sets how
+// big that jump must be. Beats spawn bursts, pulse the icons and card and push the
+// floating icons along for a moment.
+const BEAT_HISTORY_SIZE = 43; // About a second of frames
+const BEAT_MIN_GAP_MS = 250;
+const BEAT_BURST_GAP_MS = 600;
+let beatFrame = null;
+let beatHistory = [];
+let lastBeatAt = 0;
+let lastBurstAt = 0;
+let beatBins = null;
+let beatBoost = 0; // Extra floating-icon speed, decays in physicsLoop()
+
+function getBeatSensitivity() {
+    const value = typeof config.beatSensitivity === 'number' ? config.beatSensitivity : 0.5;
+    return Math.min(Math.max(value, 0), 1);
+}
+
+function isBeatDriven() {
+    return !!(audioEngine && audioEngine.analyser && !bgMusic.paused && audioEngine.ctx.state === 'running' && getActiveDeck().gain);
+}
+
+function startBeatDetection() {
+    if (beatFrame) return;
+    beatHistory = [];
+    const tick = () => {
+        beatFrame = requestAnimationFrame(tick);
+        if (isBeatDriven()) detectBeat();
+    };
+    beatFrame = requestAnimationFrame(tick);
+}
+
+function stopBeatDetection() {
+    if (beatFrame) cancelAnimationFrame(beatFrame);
+    beatFrame = null;
+    beatBoost = 0;
+}
+
+function detectBeat() {
+    const analyser = audioEngine.analyser;
+    if (!beatBins || beatBins.length !== analyser.frequencyBinCount) beatBins = new Uint8Array(analyser.frequencyBinCount);
+    analyser.getByteFrequencyData(beatBins);
+
+    // Bass band, roughly 40-180 Hz
+    const hzPerBin = audioEngine.ctx.sampleRate / analyser.fftSize;
+    const from = Math.max(1, Math.floor(40 / hzPerBin));
+    const to = Math.max(from + 1, Math.ceil(180 / hzPerBin));
+    let energy = 0;
+    for (let i = from; i < to; i++) energy += beatBins[i];
+    energy /= (to - from) * 255;
+
+    const average = beatHistory.length ? beatHistory.reduce((sum, value) => sum + value, 0) / beatHistory.length : energy;
+    beatHistory.push(energy);
+    if (beatHistory.length > BEAT_HISTORY_SIZE) beatHistory.shift();
+
+    const threshold = 1.6 - getBeatSensitivity() * 0.5; // 1.1x (sensitive) to 1.6x (strong beats only)
+    const now = performance.now();
+    if (beatHistory.length < 10 || energy < 0.15 || energy < average * threshold || now - lastBeatAt < BEAT_MIN_GAP_MS) return;
+
+    lastBeatAt = now;
+    onBeat(Math.min((energy - average) / Math.max(average, 0.05), 1));
+}
+
+function onBeat(strength) {
+    if (prefersReducedMotion()) return;
+    const now = performance.now();
+    if (now - lastBurstAt > BEAT_BURST_GAP_MS) {
+        lastBurstAt = now;
+        spawnEffectBurst();
+    }
+
+    const scale = 1 + 0.06 + strength * 0.1;
+    document.querySelectorAll('.main-icon, #revealCard.effects-on').forEach(el => {
+        if (!el.animate) return;
+        const isCard = el.id === 'revealCard';
+        el.animate(
+            [{ scale: '1' }, { scale: String(isCard ? 1 + (scale - 1) / 4 : scale) }, { scale: '1' }],
+            { duration: 260, easing: 'ease-out' }
+        );
+    });
+
+    beatBoost = Math.min(beatBoost + 0.8 + strength, 3);
+}
+
 // ============ INITIALIZATION ============
 function init() {
+    registerServiceWorker();
+    startResponseSync();
+    setupReplies();
+    applyStrings();
+    applyPersonalCopy();
+
     // Initialize global features first so they work even in "Coming Soon" mode
     createFloatingBackground();
     if (showDebugPanel) {
@@ -432,12 +773,16 @@ function init() {
     enableCustomCursor();
     updateEffectToggleLabel();
     setMusicPlayerTheme(null);
+    applyTheme(null);
+    setupColorScheme();
+    setupAudioEngine();
+    setupMusicControls();
     setupMusicForDay();
     tryAutoPlayMusic();
 
     // Replay button
     document.getElementById('replayBtn').addEventListener('click', () => {
-        gsap.to('#stage7', {
+        motion.to('#stage7', {
             opacity: 0, visibility: 'hidden', duration: 0.5, onComplete: () => {
                 document.getElementById('stage7').style.display = 'none';
                 playTimeline();
@@ -445,38 +790,52 @@ function init() {
         });
     });
 
-    // Music control
+    // Recap mode: return from a replayed day to the gallery
+    const recapBackBtn = document.getElementById('recapBackBtn');
+    if (recapBackBtn) {
+        recapBackBtn.addEventListener('click', (e) => { e.stopPropagation(); backToRecap(); });
+    }
+
+    // Music control (events from the deck that is fading out are ignored)
     playPauseBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleMusic(); });
-    bgMusic.addEventListener('timeupdate', updateProgress);
-    bgMusic.addEventListener('play', () => setMusicPlayingState(true));
-    bgMusic.addEventListener('pause', () => setMusicPlayingState(false));
-    bgMusic.addEventListener('ended', () => setMusicPlayingState(false));
+    musicDecks.forEach(({ el }) => {
+        const whenActive = (handler) => () => { if (el === bgMusic) handler(); };
+        el.addEventListener('timeupdate', whenActive(updateProgress));
+        el.addEventListener('seeked', whenActive(syncLyrics));
+        el.addEventListener('play', whenActive(() => {
+            setMusicPlayingState(true);
+            startLyricsLoop();
+        }));
+        el.addEventListener('pause', whenActive(() => setMusicPlayingState(false)));
+        el.addEventListener('ended', whenActive(() => {
+            setMusicPlayingState(false);
+            nextTrack();
+        }));
+    });
     if (effectToggleBtn) {
         effectToggleBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleEffects(); });
     }
 
-    const todayIndex = getTodaysDayIndex();
+    setupNavigation();
+    setupStoryControls();
+    setupAccessibility();
+    applyNavigationMode();
 
-    if (isDateLocked) {
-        // Hide navigation in production - users can only see today's content
-        prevBtn.style.display = 'none';
-        nextBtn.style.display = 'none';
-        dayIndicator.style.display = 'none';
+    const todayIndex = getLandingDayIndex();
+    scheduledDayIndex = todayIndex;
 
-        if (todayIndex === -1) {
+    if (isDateLocked) {
+        if (todayIndex < 0) {
             currentDayIndex = -1;
-            showComingSoon();
+            showWaitingView(todayIndex);
             // Even if coming soon, we try to play music if configured (or just bg music)
             tryAutoPlayMusic();
+            startRolloverWatch();
             return;
         }
         currentDayIndex = todayIndex;
     } else {
-        // Show navigation in debug/testing mode
-        prevBtn.style.display = 'block';
-        nextBtn.style.display = 'block';
-        dayIndicator.style.display = 'flex';
-        currentDayIndex = 0; // Start at first day for testing
+        currentDayIndex = isPreview ? previewDayIndex : 0; // Start at first day for testing
     }
 
     // Set up day content then play timeline
@@ -488,36 +847,26 @@ function init() {
     setupMusicForDay();
     // tryAutoPlayMusic(); // playAudioSafe handles this now to avoid race conditions
     playTimeline();
+    startRolloverWatch();
 }
 
 function populateDayContent(day) {
     setCustomCursorForDay(currentDayIndex);
+    updateDayDots();
     stopEffects();
     setMusicPlayerTheme(day);
-    // Update CSS theme
-    document.documentElement.style.setProperty('--theme-color', day.themeColor);
-    document.body.style.background = `linear-gradient(135deg, ${day.bgStart} 0%, ${day.bgMid} 50%, ${day.bgEnd} 100%)`;
+    applyTheme(day);
 
     // Stage 2: Day announcement
     document.getElementById('stageIcon').textContent = day.icon;
-    document.getElementById('stageDayTitle').textContent = `It's ${day.title}!`;
+    document.getElementById('stageDayTitle').textContent = t('dayAnnounce', { title: day.title });
 
     // Stage 3: Typing text - now types in input bar first
-    const waInputText = document.getElementById('waInputText');
-    const typingText = document.getElementById('typingText');
-    const typingMessage = `Happy ${day.title}! ${day.icon}`;
-
-    // Set up input text for typing animation (using spread to properly handle emoji)
-    waInputText.innerHTML = [...typingMessage].map(c => `<span>${c}</span>`).join('');
-    waInputText.classList.remove('placeholder');
-
-    // Prepare bubble for later
-    typingText.innerHTML = typingMessage;
-    typingText.style.display = 'none';
+    setChatMessage(t('chatMessage', { title: day.title, icon: day.icon }));
 
     // Stage 5: Reveal card
     document.getElementById('dayNumber').textContent = day.dayNumber;
-    document.getElementById('dayBadge').textContent = `${day.date} • ${day.title}`;
+    document.getElementById('dayBadge').textContent = t('cardBadge', { date: formatDayDate(currentDayIndex), title: day.title });
     document.getElementById('daySubtitle').textContent = day.subtitle;
 
     const icons = day.icons || [day.icon, day.icon, day.icon];
@@ -530,7 +879,7 @@ function populateDayContent(day) {
     document.getElementById('quoteText').innerHTML = day.quote;
     document.getElementById('recipientName').textContent = `— ${config.recipientName}`;
     document.getElementById('dayMessage').textContent = day.message;
-    document.getElementById('footerText').textContent = `Happy ${day.title} • ${day.date}, ${config.year || 2026}`;
+    document.getElementById('footerText').textContent = t('cardFooter', { title: day.title, date: formatDayDate(currentDayIndex, 'long') });
 
     // Add 'Read Letter' button if it's Valentine's Day and letter exists
     if (day.letter) {
@@ -539,8 +888,8 @@ function populateDayContent(day) {
             letterBtn = document.createElement('button');
             letterBtn.id = 'letterBtn';
             letterBtn.className = 'read-letter-btn';
-            letterBtn.innerHTML = '💌 Read My Letter 💌';
-            letterBtn.onclick = openLoveLetter;
+            letterBtn.textContent = t('readLetter');
+            letterBtn.onclick = () => openLoveLetter();
             document.getElementById('dayMessage').parentNode.insertBefore(letterBtn, document.getElementById('footerText'));
         }
         letterBtn.style.display = 'inline-block';
@@ -550,525 +899,1860 @@ function populateDayContent(day) {
     }
 
     // Stage 4: Memories - Dynamic Injection
-    const stage4 = document.getElementById('stage4');
-    if (stage4 && day.memories) {
-        stage4.innerHTML = day.memories.map((text, index) =>
-            `<p class="idea idea-${index + 1}">${text}</p>`
-        ).join('');
-    }
+    renderMemories(day);
 }
 
-function playTimeline() {
-    const tl = gsap.timeline();
+function setChatMessage(typingMessage) {
+    const waInputText = document.getElementById('waInputText');
+    const typingText = document.getElementById('typingText');
+
+    // Set up input text for typing animation (using spread to properly handle emoji)
+    waInputText.innerHTML = [...typingMessage].map(c => `<span>${c}</span>`).join('');
+    waInputText.classList.remove('placeholder');
+
+    // Prepare bubble for later
+    typingText.innerHTML = typingMessage;
+    typingText.style.display = 'none';
+}
 
+function playTimeline() {
     // Try to play music when animation starts
     bgMusic.play().catch(() => {
         console.log('Click the music player to start audio');
     });
 
+    resetStoryState();
+
+    const day = config.days[currentDayIndex];
+    const stages = getDayStages(day);
+    const startAt = Math.max(0, stages.indexOf(previewStartStage));
+    previewStartStage = null; // Replays start from the top
+    recordResponse('day_opened');
+    stageRunId++;
+    runStages(stages, day, startAt, stageRunId);
+}
+
+// Puts every stage back to its starting state before the story (or part of it) plays again
+function resetStoryState() {
     // Reset all stages comprehensively
     resetAllStages();
-    gsap.set('.idea', { opacity: 0, y: 20 });
-    gsap.set('.typing-text span', { opacity: 0 });
-    gsap.set('.typing-text', { y: 0, opacity: 1, scale: 1 });
-    gsap.set('.wa-input-text span', { opacity: 0 });
+    motion.set('.idea', calmVars({ opacity: 0, y: 20 }));
+    motion.set('.typing-text span', { opacity: 0 });
+    motion.set('.typing-text', { y: 0, opacity: 1, scale: 1 });
+    motion.set('.wa-input-text span', { opacity: 0 });
 
 
     // Reset send button and message bubble for replay
     const sendBtn = document.querySelector('.fake-send-btn');
     const typingText = document.querySelector('.typing-text');
     if (sendBtn) {
-        gsap.set(sendBtn, { scale: 1, opacity: 1 });
+        motion.set(sendBtn, { scale: 1, opacity: 1 });
     }
     if (typingText) {
         typingText.classList.remove('sent');
     }
+}
 
+// ============ VOICE NOTES ============
+// A memory line can be { text, voice } to play a recorded clip from the sender - the
+// timeline holds the line until the clip ends. The chat stage shows a tappable voice-note
+// bubble with stageOptions: { chat: { voice: "..." } }. The music ducks while a clip plays.
+const VOICE_NOTE_LOAD_TIMEOUT = 15000; // Give up on a clip that never starts
+const voiceNote = new Audio();
+voiceNote.preload = 'auto';
+let finishVoiceNote = null;
+
+function getMemoryText(entry) {
+    return entry && typeof entry === 'object' ? entry.text || '' : entry;
+}
 
-    // Stage 1: Greeting
-    tl.to('#stage1', { opacity: 1, visibility: 'visible', duration: 1 })
-        .from('.greeting-title', { y: 30, opacity: 0, duration: 0.8, ease: 'back.out(1.7)' })
-        .from('.greeting-sub', { y: 20, opacity: 0, duration: 0.6 }, '-=0.4')
-        .to('#stage1', { opacity: 0, visibility: 'hidden', duration: 0.5 }, '+=1.5')
+function getMemoryVoice(entry) {
+    return entry && typeof entry === 'object' && entry.voice ? entry.voice : null;
+}
 
-        // Stage 2: Day Announcement
-        .to('#stage2', { opacity: 1, visibility: 'visible', duration: 0.5 })
-        .from('#stageIcon', { scale: 0, rotation: -180, duration: 0.6, ease: 'back.out(1.5)' })
-        .from('#stageDayTitle', { opacity: 0, scale: 0.8, duration: 0.5 }, '-=0.3')
-        .to('#stage2', { opacity: 0, visibility: 'hidden', duration: 0.5 }, '+=2')
+function renderMemories(day) {
+    const stage4 = document.getElementById('stage4');
+    if (!stage4 || !day.memories) return;
 
-        // Stage 3: Typing in input bar, then sending to bubble
-        .to('#stage3', { opacity: 1, visibility: 'visible', duration: 0.3 })
-        .from('.text-box', { scale: 0.8, opacity: 0, y: 30, duration: 0.6, ease: 'back.out(1.4)' })
-        // Type in the input bar
-        .to('.wa-input-text span', { opacity: 1, duration: 0.04, stagger: 0.06 })
-        .to({}, { duration: 0.5 }) // Pause after typing
-        // Press send button
-        .to('.fake-send-btn', { scale: 0.9, duration: 0.1 })
-        .to('.fake-send-btn', { scale: 1.05, duration: 0.15 })
-        // Clear input and show message bubble
-        .add(() => {
-            const waInput = document.getElementById('waInputText');
-            const typingText = document.getElementById('typingText');
-            waInput.innerHTML = 'Type a message';
-            waInput.classList.add('placeholder');
-            typingText.style.display = 'block';
-            typingText.classList.add('sent');
-        })
-        .from('#typingText', { scale: 0.8, opacity: 0, y: 20, duration: 0.3, ease: 'back.out(1.2)' })
-        .to({}, { duration: 1 }) // Show the sent message
-        .to('#stage3', { opacity: 0, visibility: 'hidden', duration: 0.4 })
+    stage4.innerHTML = day.memories.map((entry, i) => {
+        const voice = getMemoryVoice(entry);
+        if (!voice) return `<p class="idea idea-${i + 1}" aria-hidden="true">${getMemoryText(entry)}</p>`;
+        return `<p class="idea idea-${i + 1} has-voice" aria-hidden="true" data-voice="${voice.replace(/"/g, '&quot;')}">${getMemoryText(entry)}</p>`;
+    }).join('');
+}
 
-        // Stage 4: Dynamic Memories
-        .to('#stage4', { opacity: 1, visibility: 'visible', duration: 1 });
+// Resolves once the clip ends, fails or is stopped, so callers can always carry on
+function playVoiceNote(src) {
+    stopVoiceNote();
+    return new Promise(resolve => {
+        let loadTimer = null;
+        const finish = () => {
+            if (finishVoiceNote !== finish) return;
+            finishVoiceNote = null;
+            clearTimeout(loadTimer);
+            voiceNote.onended = voiceNote.onerror = voiceNote.onplaying = null;
+            releaseMusicDuck('voice');
+            resolve();
+        };
+        const fail = (e) => {
+            console.warn(`⚠️ Could not play voice note "${src}"`, e || '');
+            finish();
+        };
 
-    // Animate all visible .idea elements dynamically
-    const ideas = document.querySelectorAll('#stage4 .idea');
-    if (ideas.length > 0) {
-        ideas.forEach((idea, index) => {
-            const isLast = index === ideas.length - 1;
+        finishVoiceNote = finish;
+        voiceNote.onended = finish;
+        voiceNote.onerror = () => fail(voiceNote.error);
+        voiceNote.onplaying = () => clearTimeout(loadTimer);
+        loadTimer = setTimeout(() => fail('(took too long to load)'), VOICE_NOTE_LOAD_TIMEOUT);
 
-            // Animate In
-            tl.to(idea, { opacity: 1, y: 0, duration: 1 });
+        voiceNote.src = src;
+        voiceNote.currentTime = 0;
+        duckMusic('voice');
+        voiceNote.play().catch(fail);
+    });
+}
 
-            // Hold Logic
-            let holdTime = idea.textContent.length > 40 ? 4 : 3;
-            if (isLast) holdTime += 1.5; // Give the final line extra time
+function stopVoiceNote() {
+    voiceNote.pause();
+    if (finishVoiceNote) finishVoiceNote();
+}
 
-            if (isLast) {
-                tl.to({}, { duration: holdTime });
-                tl.to(idea, { opacity: 0, duration: 0.6 });
-            } else {
-                tl.to(idea, { opacity: 0, duration: 0.5 }, `+=${holdTime}`);
-            }
-        });
-    } else {
-        tl.to({}, { duration: 1 }); // Fallback if no ideas
-    }
+function formatClipLength(seconds) {
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
 
-    tl.to('#stage4', { opacity: 0, visibility: 'hidden', duration: 1 });
+// Stage 3's voice-note bubble. Tapping it pauses the story until the clip has played.
+function setupChatVoiceNote(ctx, src) {
+    const bubble = document.getElementById('chatVoiceNote');
+    const icon = bubble.querySelector('i');
+    const length = bubble.querySelector('.voice-length');
+    bubble.classList.remove('playing', 'played');
+    icon.className = 'fas fa-play';
+    length.textContent = '0:00';
+
+    // Only the clip's length is needed up front
+    const probe = new Audio();
+    probe.preload = 'metadata';
+    probe.onloadedmetadata = () => {
+        if (isFinite(probe.duration)) length.textContent = formatClipLength(probe.duration);
+    };
+    probe.src = src;
 
-    // Check for special interactive days
-    const isProposeDayActive = currentDayIndex === 1; // Feb 8 - Propose Day
-    const isTeddyDayActive = currentDayIndex === 3;   // Feb 10 - Teddy Day
-    const isValentineDayActive = currentDayIndex === 7; // Feb 14 - Valentine's Day
-
-    if (isProposeDayActive) {
-        // Show proposal stage and wait for user interaction
-        tl.add(() => showProposalStage());
-    } else if (isTeddyDayActive) {
-        // Show teddy gift stage and wait for user interaction
-        tl.add(() => showTeddyStage());
-    } else if (isValentineDayActive) {
-        // Show special Valentine question
-        tl.add(() => showValentineStage());
-    } else {
-        // Normal flow - go straight to reveal card
-        addRevealCardAnimation(tl);
-    }
+    bubble.onclick = () => {
+        if (bubble.classList.contains('playing')) {
+            stopVoiceNote();
+            return;
+        }
+        ctx.tl.pause();
+        bubble.classList.add('playing');
+        icon.className = 'fas fa-pause';
+        playVoiceNote(src).then(() => {
+            bubble.classList.remove('playing');
+            bubble.classList.add('played');
+            icon.className = 'fas fa-play';
+            if (ctx.isCurrent()) continueStory(ctx.tl);
+        });
+    };
 }
 
-// ============ VALENTINE INTERACTION (Feb 14) ============
-function showValentineStage() {
-    const stageValentine = document.getElementById('stageValentine');
-    stageValentine.style.display = 'flex';
+// ============ STAGE PIPELINE ============
+// Each day lists its story in `stages` (falling back to DEFAULT_STAGES) and can tune
+// any stage through `stageOptions: { stageName: { ... } }`.
+// Timeline stages append their tweens to ctx.tl. Interactive stages are started when the
+// timeline reaches them and call ctx.done() once the recipient has finished, which builds
+// a fresh timeline for the remaining stages. The end screen always follows the last stage.
+const DEFAULT_STAGES = ['greeting', 'announce', 'chat', 'memories', 'reveal'];
+const stageHandlers = {};
+let stageRunId = 0; // Bumped on every playTimeline() so stale interactions can't resume an old run
+
+function registerStage(name, run, settings = {}) {
+    if (stageHandlers[name]) console.warn(`⚠️ Stage "${name}" was registered twice, using the latest one`);
+    stageHandlers[name] = {
+        run,
+        interactive: !!settings.interactive,
+        reset: settings.reset || null,
+        describe: settings.describe || null // Text for screen readers when the stage starts
+    };
+}
 
-    gsap.to('#stageValentine', { opacity: 1, visibility: 'visible', duration: 0.5 });
-    gsap.from('.valentine-container', { scale: 0.8, opacity: 0, y: 30, duration: 0.8, ease: 'back.out(1.4)' });
+function getDayStages(day) {
+    return Array.isArray(day.stages) && day.stages.length ? day.stages : DEFAULT_STAGES;
+}
 
-    const vYes = document.getElementById('valentineYes');
-    const vNo = document.getElementById('valentineNo');
-    let advanced = false;
+// Copy from config.stageOptions applies to every day; a day's own stageOptions win
+function getStageOptions(day, name) {
+    return Object.assign({},
+        config.stageOptions && config.stageOptions[name],
+        day.stageOptions && day.stageOptions[name]);
+}
 
-    const advanceToCard = () => {
-        if (advanced) return;
-        advanced = true;
-        gsap.to('#stageValentine', {
-            opacity: 0, visibility: 'hidden', duration: 0.8, onComplete: () => {
-                const tl = gsap.timeline();
-                addRevealCardAnimation(tl);
-            }
-        });
-    };
+function runStages(stages, day, startAt, runId) {
+    if (runId !== stageRunId) return;
 
-    const autoAdvanceTimer = setTimeout(advanceToCard, 9000);
+    const tl = createTimeline();
+    storyRun = { tl, stages, day, runId, index: startAt };
+    storyPaused = false;
+    updateStoryControls();
 
-    // YES Button -> Grand Romantic Celebration! 💕
-    vYes.onclick = () => {
-        clearTimeout(autoAdvanceTimer);
-        // MASSIVE Celebration - Fireworks + Hearts Rain + Confetti
-        createFireworks();
-        createHeartsRain();
+    // Each stage starts at a `stage-<index>` label, which the story controls use as chapters
+    const markChapter = (index) => {
+        tl.addLabel(`stage-${index}`);
+        tl.add(() => { if (storyRun.tl === tl) storyRun.index = index; });
+    };
 
-        // Continuous confetti burst
-        for (let i = 0; i < 50; i++) {
-            setTimeout(() => {
-                const x = Math.random() * window.innerWidth;
-                const y = Math.random() * window.innerHeight;
-                createConfetti(x, y);
-            }, i * 80);
+    for (let i = startAt; i < stages.length; i++) {
+        const name = stages[i];
+        const handler = stageHandlers[name];
+        if (!handler) {
+            console.warn(`⚠️ Unknown stage "${name}" in ${day.title}, skipping it`);
+            continue;
         }
+        markChapter(i);
+
+        const ctx = {
+            tl,
+            day,
+            dayIndex: currentDayIndex,
+            options: getStageOptions(day, name),
+            isCurrent: () => runId === stageRunId
+        };
+        const describe = () => {
+            if (handler.describe && ctx.isCurrent()) announce(handler.describe(ctx));
+        };
 
-        // Multiple celebration waves
-        for (let wave = 0; wave < 5; wave++) {
-            setTimeout(() => createCelebration(), wave * 300);
+        if (handler.interactive) {
+            let finished = false;
+            ctx.done = () => {
+                if (finished) return;
+                finished = true;
+                keepFocusInStory();
+                runStages(stages, day, i + 1, runId);
+            };
+            tl.add(() => {
+                if (!ctx.isCurrent()) return;
+                handler.run(ctx);
+                describe();
+            });
+            applyStorySpeed(tl);
+            return;
         }
 
-        // More fireworks after a moment
-        setTimeout(() => createFireworks(), 1500);
-        setTimeout(() => createHeartsRain(), 2000);
+        tl.add(describe);
+        handler.run(ctx);
+    }
 
-        // Transition to Final Card with longer delay for celebration
-        gsap.to('#stageValentine', {
-            opacity: 0, visibility: 'hidden', duration: 0.8, delay: 2.5, onComplete: () => {
-                const tl = gsap.timeline();
-                addRevealCardAnimation(tl);
-            }
-        });
-    };
+    markChapter(stages.length);
+    addEndScreenAnimation(tl);
+    applyStorySpeed(tl);
+}
 
-    // NO Button -> Runaway (Harder to catch)
-    vNo.onmouseover = vNo.ontouchstart = () => {
-        const container = stageValentine.querySelector('.valentine-container');
-        const maxX = window.innerWidth / 2 - vNo.offsetWidth;
-        const maxY = window.innerHeight / 2 - vNo.offsetHeight;
+// Lets stage add-ons written before main.js loads register themselves:
+// (window.stagePlugins = window.stagePlugins || []).push({ name, run, interactive, reset });
+function registerStagePlugins() {
+    (window.stagePlugins || []).forEach(plugin => {
+        if (plugin && plugin.name && typeof plugin.run === 'function') {
+            registerStage(plugin.name, plugin.run, plugin);
+        } else {
+            console.warn('⚠️ Ignoring a stage plugin without a name or run function', plugin);
+        }
+    });
+}
 
-        const newX = (Math.random() - 0.5) * maxX * 1.5;
-        const newY = (Math.random() - 0.5) * maxY * 1.5;
+// Sets a stage's copy from its options. The markup's original copy is remembered the
+// first time, so a day without the option gets the built-in text back.
+function applyStageCopy(selector, value) {
+    const el = document.querySelector(selector);
+    if (!el) return;
+    if (el.dataset.defaultCopy === undefined) el.dataset.defaultCopy = el.innerHTML;
+    el.innerHTML = value === undefined || value === null ? el.dataset.defaultCopy : value;
+}
 
-        gsap.to(vNo, { x: newX, y: newY, duration: 0.2, ease: 'power2.out' });
-    };
+// ============ STORY CONTROLS ============
+// Pause/resume, previous/next chapter and speed for the story timeline. Chapters are the
+// stages, plus each line inside the memories stage. Keys: K pause, J/L previous/next,
+// < and > speed (the arrow keys stay with day navigation). On touch screens a tap on a
+// timeline stage skips ahead.
+const STORY_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const CHAPTER_RESTART_SECONDS = 1.5; // "Previous" this far into a chapter restarts it instead
+let storyRun = null; // { tl, stages, day, runId, index } for the timeline playing now
+let storyPaused = false;
+let storySpeed = 1;
+
+// Picks a timeline that waited for a voice note back up, unless the recipient paused the story
+function continueStory(tl) {
+    if (!storyPaused) tl.resume();
 }
 
-// ============ PROPOSAL INTERACTION ============
-function showProposalStage() {
-    const stageProposal = document.getElementById('stageProposal');
-    stageProposal.style.display = 'flex';
+function isStoryActive() {
+    return !!storyRun && storyRun.runId === stageRunId && currentDayIndex >= 0 && !isRecapMode &&
+        document.getElementById('stagesContainer').style.display !== 'none';
+}
 
-    gsap.to('#stageProposal', { opacity: 1, visibility: 'visible', duration: 0.5 });
-    gsap.from('.proposal-container', { scale: 0.8, opacity: 0, y: 30, duration: 0.6, ease: 'back.out(1.4)' });
-
-    // Setup button handlers
-    const yesBtn = document.getElementById('proposalYes');
-    const noBtn = document.getElementById('proposalNo');
+function setStoryPaused(paused) {
+    if (!storyRun) return;
+    storyPaused = paused;
+    if (finishVoiceNote) {
+        // The clip holds the timeline itself and lets it go when it ends
+        if (paused) voiceNote.pause();
+        else voiceNote.play().catch(() => {});
+    } else if (paused) {
+        storyRun.tl.pause();
+    } else {
+        storyRun.tl.resume();
+    }
+    updateStoryControls();
+}
 
-    // Yes button - celebrate!
-    yesBtn.onclick = () => {
-        // Celebrate immediately!
-        createFireworks();
-        createHeartsRain();
-        createCelebration();
+function toggleStoryPause() {
+    setStoryPaused(!storyPaused);
+}
 
-        // Continuous confetti burst
-        for (let i = 0; i < 30; i++) {
-            setTimeout(() => {
-                const x = Math.random() * window.innerWidth;
-                const y = Math.random() * window.innerHeight;
-                createConfetti(x, y);
-            }, i * 100);
-        }
+function setStorySpeed(speed) {
+    storySpeed = speed;
+    if (storyRun) applyStorySpeed(storyRun.tl);
+    updateStoryControls();
+}
 
-        gsap.to('#stageProposal', {
-            opacity: 0, visibility: 'hidden', duration: 0.3, onComplete: () => {
-                gsap.to('#proposalResponse', { opacity: 1, visibility: 'visible', duration: 0.5 });
-                gsap.from('.response-icon', { scale: 0, rotation: 360, duration: 0.8, ease: 'back.out(2)' });
-                gsap.from('.response-text', { opacity: 0, y: 20, duration: 0.5, delay: 0.3 });
-                gsap.from('.response-sub', { opacity: 0, duration: 0.4, delay: 0.5 });
+// GSAP never fires the callbacks of a timeline with no length once its speed is changed, which
+// is what a run starting on an interactive stage looks like - and speed doesn't matter there
+function applyStorySpeed(tl) {
+    if (tl.duration() > 0) tl.timeScale(storySpeed);
+}
 
-                // After celebration message, continue to reveal card
-                setTimeout(() => {
-                    gsap.to('#proposalResponse', {
-                        opacity: 0, visibility: 'hidden', duration: 0.5, onComplete: () => {
-                            const tl = gsap.timeline();
-                            addRevealCardAnimation(tl);
-                        }
-                    });
-                }, 3000);
-            }
-        });
-    };
+function stepStorySpeed(step) {
+    const index = STORY_SPEEDS.indexOf(storySpeed) + step;
+    setStorySpeed(STORY_SPEEDS[Math.min(Math.max(index, 0), STORY_SPEEDS.length - 1)]);
+}
 
-    // No button - run away! 😄
-    noBtn.onmouseover = noBtn.ontouchstart = () => {
-        const container = stageProposal.querySelector('.proposal-container');
-        const maxX = container.offsetWidth / 2 - noBtn.offsetWidth;
-        const maxY = container.offsetHeight / 3;
+// The speed button loops round from 2x back to 0.5x
+function cycleStorySpeed() {
+    setStorySpeed(STORY_SPEEDS[(STORY_SPEEDS.indexOf(storySpeed) + 1) % STORY_SPEEDS.length]);
+}
 
-        const newX = (Math.random() - 0.5) * maxX * 2;
-        const newY = (Math.random() - 0.5) * maxY * 2;
+// Restarts the story from a stage. The old timeline is rendered to its end first so
+// its .from() tweens leave everything in place for the new one.
+function jumpToStage(index) {
+    const { tl, stages, day } = storyRun;
+    stopVoiceNote();
+    tl.progress(1, true).kill();
+    resetStoryState();
+    stageRunId++;
+    runStages(stages, day, Math.min(Math.max(index, 0), stages.length), stageRunId);
+}
 
-        gsap.to(noBtn, {
-            x: newX,
-            y: newY,
-            duration: 0.2,
-            ease: 'power2.out'
-        });
-    };
+// Memory lines are chapters within their stage, reached by seeking the timeline
+function getMemoryChapters() {
+    const { tl, stages, index } = storyRun;
+    if (stages[index] !== 'memories') return [];
+    return Object.keys(tl.labels)
+        .filter(label => label.startsWith('memory-'))
+        .map(label => tl.labels[label])
+        .sort((a, b) => a - b);
 }
 
-// ============ TEDDY GIFT INTERACTION ============
-function showTeddyStage() {
-    const stageTeddy = document.getElementById('stageTeddy');
-    stageTeddy.style.display = 'flex';
+function seekStory(time) {
+    stopVoiceNote();
+    storyRun.tl.seek(time);
+    setStoryPaused(false);
+}
 
-    gsap.to('#stageTeddy', { opacity: 1, visibility: 'visible', duration: 0.5 });
-    gsap.from('.teddy-gift-container', { scale: 0.8, opacity: 0, y: 30, duration: 0.6, ease: 'back.out(1.4)' });
+function nextChapter() {
+    if (!isStoryActive()) return;
+    const now = storyRun.tl.time();
+    const nextLine = getMemoryChapters().find(time => time > now + 0.05);
+    if (nextLine !== undefined) {
+        seekStory(nextLine);
+    } else if (storyRun.index < storyRun.stages.length) {
+        jumpToStage(storyRun.index + 1);
+    }
+}
 
-    const giftBox = document.getElementById('giftBox');
-    const giftWrapper = document.getElementById('giftWrapper');
-    const teddyReveal = document.getElementById('teddyReveal');
+function previousChapter() {
+    if (!isStoryActive()) return;
+    const { tl, index } = storyRun;
+    const now = tl.time();
+    const earlierLine = getMemoryChapters().filter(time => time < now - CHAPTER_RESTART_SECONDS).pop();
+    if (earlierLine !== undefined) {
+        seekStory(earlierLine);
+        return;
+    }
 
-    giftBox.onclick = () => {
-        giftBox.classList.add('opened');
-        giftBox.textContent = '🎊';
+    const stageStart = tl.labels[`stage-${index}`];
+    const intoChapter = stageStart === undefined ? 0 : now - stageStart;
+    jumpToStage(intoChapter > CHAPTER_RESTART_SECONDS ? index : index - 1);
+}
 
-        gsap.to(giftWrapper, {
-            opacity: 0, scale: 0.5, duration: 0.4, onComplete: () => {
-                giftWrapper.style.display = 'none';
-                teddyReveal.classList.add('show');
+function updateStoryControls() {
+    const controls = document.getElementById('storyControls');
+    if (!controls) return;
+    controls.classList.toggle('visible', !!storyRun);
 
-                // Create mini celebration
-                for (let i = 0; i < 10; i++) {
-                    setTimeout(() => createConfetti(
-                        window.innerWidth / 2 + (Math.random() - 0.5) * 200,
-                        window.innerHeight / 2
-                    ), i * 100);
-                }
+    const pauseBtn = document.getElementById('storyPauseBtn');
+    pauseBtn.querySelector('i').className = storyPaused ? 'fas fa-play' : 'fas fa-pause';
+    pauseBtn.setAttribute('aria-label', t(storyPaused ? 'storyResume' : 'storyPause'));
+    pauseBtn.title = t(storyPaused ? 'storyResumeShort' : 'storyPauseShort');
+    document.getElementById('storySpeedBtn').textContent = `${storySpeed}x`;
+}
 
-                // Continue to reveal card after a moment
-                setTimeout(() => {
-                    gsap.to('#stageTeddy', {
-                        opacity: 0, visibility: 'hidden', duration: 0.5, onComplete: () => {
-                            const tl = gsap.timeline();
-                            addRevealCardAnimation(tl);
-                        }
-                    });
-                }, 3500);
-            }
+function setupStoryControls() {
+    const buttons = [
+        ['storyPrevBtn', previousChapter],
+        ['storyPauseBtn', toggleStoryPause],
+        ['storyNextBtn', nextChapter],
+        ['storySpeedBtn', cycleStorySpeed]
+    ];
+    buttons.forEach(([id, action]) => {
+        document.getElementById(id).addEventListener('click', (e) => {
+            e.stopPropagation();
+            action();
         });
-    };
-}
+    });
 
-// ============ REVEAL CARD ANIMATION (Extracted for reuse) ============
-function addRevealCardAnimation(tl) {
-    tl.to('#stage5', { opacity: 1, visibility: 'visible', duration: 0.5 })
-        .from('.reveal-card', { scale: 0.8, opacity: 0, y: 50, duration: 1, ease: 'back.out(1.4)' })
-        .from('.day-number', { opacity: 0, y: -10, duration: 0.3 }, '-=0.5')
-        .from('.day-badge', { opacity: 0, scale: 0.8, duration: 0.4 }, '-=0.3')
-        .from('.subtitle', { opacity: 0, duration: 0.4 }, '-=0.2')
-        .from('.main-icon', { scale: 0, rotation: -45, stagger: 0.2, duration: 0.5, ease: 'back.out(2)' }, '-=0.2')
-        .from('.quote', { opacity: 0, y: 20, duration: 0.6 }, '-=0.2')
-        .from('.name', { opacity: 0, letterSpacing: '15px', duration: 0.8 }, '-=0.3')
-        .from('.message', { opacity: 0, x: -20, duration: 0.5 }, '-=0.3')
-        .from('.footer', { opacity: 0, duration: 0.4 }, '-=0.2')
-        // Celebration
-        .add(() => createCelebration(), '-=0.5')
-        // Hold for reading
-        .to({}, { duration: 8 })
-        // Fade out card
-        .to('#stage5', { opacity: 0, visibility: 'hidden', duration: 0.8 })
-        // Show End Screen (Stage 7)
-        .add(() => {
-            const stage7 = document.getElementById('stage7');
-            stage7.style.display = 'flex';
-        })
-        .to('#stage7', { opacity: 1, visibility: 'visible', duration: 0.8 });
+    document.addEventListener('keydown', (e) => {
+        if (!isStoryActive() || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const shortcuts = {
+            k: toggleStoryPause,
+            j: previousChapter,
+            l: nextChapter,
+            '<': () => stepStorySpeed(-1),
+            '>': () => stepStorySpeed(1)
+        };
+        const action = shortcuts[e.key.toLowerCase()];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    });
+
+    // Tap to advance - only on touch screens, and never on the card or an interactive stage
+    document.getElementById('stagesContainer').addEventListener('click', (e) => {
+        if (!isStoryActive() || !window.matchMedia('(hover: none)').matches) return;
+        if (e.target.closest('button, a, input, textarea, select, #storyControls')) return;
+        const name = storyRun.stages[storyRun.index];
+        const handler = stageHandlers[name];
+        if (!handler || handler.interactive || name === 'reveal') return;
+        nextChapter();
+    });
+
+    updateStoryControls();
 }
 
-function createCelebration() {
-    const container = document.getElementById('celebrationContainer');
-    container.innerHTML = '';
-    const day = config.days[currentDayIndex];
-    const symbols = ['🎈', '🎉', '✨', '💖', '🎊', ...day.petalSymbols.slice(0, 3)];
+// ============ ANIMATION ============
+// Everything animates through `motion`, which is GSAP when its script loaded. If that script
+// is blocked or missing, a small stand-in plays the same timelines as steps on a timer:
+// opacity fades with element.animate(), other styles (visibility, display...) switch when
+// their step is reached, and movement (x, y, scale, rotation) is left out. Stages still
+// play one after another with their timings, callbacks, labels, pause, seek and speed.
+const motion = typeof gsap !== 'undefined' ? gsap : createFallbackMotion();
+
+function createFallbackMotion() {
+    console.warn('⚠️ GSAP did not load - using simple fades instead');
+
+    const TIMING_KEYS = ['duration', 'delay', 'ease', 'stagger', 'repeat', 'yoyo', 'onComplete', 'clearProps'];
+    const MOVEMENT_KEYS = ['x', 'y', 'scale', 'rotation', 'letterSpacing'];
+    const DEFAULT_DURATION = 0.5;
+    const EPSILON = 1e-6;
+    const live = new Set();
+    const clock = () => performance.now() / 1000;
+
+    function toElements(targets) {
+        if (typeof targets === 'string') return Array.from(document.querySelectorAll(targets));
+        if (Array.isArray(targets) || targets instanceof NodeList) return Array.from(targets).filter(el => el instanceof Element);
+        return targets instanceof Element ? [targets] : [];
+    }
 
-    for (let i = 0; i < 20; i++) {
-        const balloon = document.createElement('div');
-        balloon.className = 'balloon';
-        balloon.textContent = symbols[Math.floor(Math.random() * symbols.length)];
-        balloon.style.left = `${Math.random() * 100}%`;
-        balloon.style.animationDelay = `${Math.random() * 2}s`;
-        balloon.style.animationDuration = `${3 + Math.random() * 3}s`;
-        container.appendChild(balloon);
+    function pickStyles(vars) {
+        const styles = {};
+        Object.keys(vars || {})
+            .filter(key => !TIMING_KEYS.includes(key) && !MOVEMENT_KEYS.includes(key))
+            .forEach(key => { styles[key] = typeof vars[key] === 'number' && key !== 'opacity' ? `${vars[key]}px` : String(vars[key]); });
+        return styles;
     }
-}
 
+    // Sets inline styles, fading opacity over `seconds`, and returns the ones it replaced
+    function applyStyles(el, styles, seconds = 0) {
+        const previous = {};
+        Object.keys(styles).forEach(prop => {
+            previous[prop] = el.style[prop];
+            const before = prop === 'opacity' ? getComputedStyle(el).opacity : null;
+            el.style[prop] = styles[prop];
+            if (before !== null && seconds > 0 && typeof el.animate === 'function') {
+                el.animate([{ opacity: before }, { opacity: getComputedStyle(el).opacity }], seconds * 1000);
+            }
+        });
+        return previous;
+    }
 
-function showComingSoon() {
-    const overlay = document.getElementById('comingSoonOverlay');
-    const csName = document.getElementById('csName');
-    if (csName) csName.textContent = config.recipientName;
+    class FallbackTimeline {
+        constructor(vars = {}) {
+            this.vars = vars;
+            this.labels = {};
+            this.steps = []; // Sorted by time
+            this.end = 0;
+            this.playhead = 0;
+            this.since = clock();
+            this.speed = 1;
+            this.isPaused = false;
+            this.isKilled = false;
+            this.isComplete = false;
+            this.version = 0; // Bumped by seeks, so a callback that seeks stops the current run
+            this.timer = null;
+            live.add(this);
+            this.schedule();
+        }
 
-    currentDayIndex = -1;
-    setCustomCursorForDay(-1);
-    setMusicPlayerTheme(null);
-    stopEffects();
-    overlay.classList.add('visible');
-    document.getElementById('stagesContainer').style.display = 'none';
-    document.getElementById('musicPlayer').style.display = 'flex'; // Show player for music control
+        // Positions: a number, a label, or "+=1" / "-=0.3" from the end, optionally after a label
+        position(position) {
+            if (typeof position === 'number') return position;
+            if (typeof position !== 'string') return this.end;
+            const match = position.match(/^(.*?)([+-]=)([\d.]+)$/);
+            const base = match ? (match[1] ? this.labels[match[1]] : this.end) : this.labels[position];
+            const offset = match ? parseFloat(match[3]) * (match[2] === '-=' ? -1 : 1) : 0;
+            return Math.max((base === undefined ? this.end : base) + offset, 0);
+        }
 
-    createPetals();
-    setupMusicForDay(); // Trigger default music
-    startCountdown(); // Start the countdown timer
-}
+        addStep(time, step) {
+            let index = this.steps.findIndex(other => other.time > time);
+            if (index === -1) index = this.steps.length;
+            this.steps.splice(index, 0, Object.assign({ time, done: false }, step));
+            this.end = Math.max(this.end, time);
+            this.schedule();
+        }
 
-// ============ COUNTDOWN TIMER ============
-let countdownInterval = null;
+        // from() shows its start straight away (as GSAP does), so entrances begin hidden
+        addTween(targets, fromVars, toVars, position) {
+            const vars = toVars || fromVars;
+            const start = this.position(position) + (vars.delay || 0);
+            const duration = vars.duration === undefined ? DEFAULT_DURATION : vars.duration;
+            const elements = toElements(targets);
+            const stagger = elements.length > 1 ? vars.stagger || 0 : 0;
+
+            elements.forEach((el, i) => {
+                let styles = pickStyles(toVars);
+                if (!toVars) {
+                    styles = {};
+                    Object.keys(pickStyles(fromVars)).forEach(prop => { styles[prop] = el.style[prop]; });
+                }
+                if (fromVars) applyStyles(el, pickStyles(fromVars));
+
+                // Hiding waits for the fade out to finish; everything else starts with it
+                const early = {};
+                const late = {};
+                Object.keys(styles).forEach(prop => { (/^(hidden|none)$/.test(styles[prop]) ? late : early)[prop] = styles[prop]; });
+                const time = start + i * stagger;
+                this.addStyleStep(time, el, early, duration);
+                if (Object.keys(late).length) this.addStyleStep(time + duration, el, late, 0);
+                if (vars.clearProps) {
+                    const cleared = {};
+                    String(vars.clearProps).split(',').forEach(prop => { cleared[prop.trim()] = ''; });
+                    this.addStyleStep(time + duration, el, cleared, 0);
+                }
+            });
 
-function updateCountdownValue(id, value) {
-    const el = document.getElementById(id);
-    if (!el) return;
-    const text = String(value).padStart(2, '0');
-    if (el.textContent !== text) {
-        el.textContent = text;
-        const box = el.closest('.countdown-box');
-        if (box) {
-            box.classList.remove('tick');
-            // Force reflow to restart animation
-            void box.offsetWidth;
-            box.classList.add('tick');
+            const finish = start + duration + stagger * Math.max(elements.length - 1, 0);
+            this.end = Math.max(this.end, finish);
+            if (typeof vars.onComplete === 'function') this.addStep(finish, { call: vars.onComplete });
+            this.schedule();
+            return this;
         }
-        el.classList.remove('flip');
-        void el.offsetWidth;
-        el.classList.add('flip');
-    }
-}
 
-function startCountdown() {
-    if (countdownInterval) clearInterval(countdownInterval);
+        addStyleStep(time, el, styles, duration) {
+            let previous = null;
+            this.addStep(time, {
+                run: (animate) => { previous = applyStyles(el, styles, animate ? duration / this.speed : 0); },
+                undo: () => { if (previous) applyStyles(el, previous); }
+            });
+        }
 
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-
-    let targetDate;
-    let labelText;
-
-    // Determine target: next Feb 7 or next year's Feb 7
-    if (month < 2 || (month === 2 && day < 7)) {
-        // Before Feb 7 this year
-        targetDate = new Date(year, 1, 7, 0, 0, 0); // Feb 7 this year
-        labelText = "Valentine's Week begins in:";
-    } else if (month === 2 && day >= 7 && day <= 14) {
-        // During Valentine's week (shouldn't reach here normally)
-        targetDate = new Date(year, 1, 7, 0, 0, 0);
-        labelText = "Valentine's Week is here! 💕";
-    } else {
-        // After Feb 14 - count to next year
-        targetDate = new Date(year + 1, 1, 7, 0, 0, 0); // Feb 7 next year
-        labelText = "Valentine's Week returns in:";
-    }
+        to(targets, vars, position) { return this.addTween(targets, null, vars, position); }
+        from(targets, vars, position) { return this.addTween(targets, vars, null, position); }
+        fromTo(targets, fromVars, toVars, position) { return this.addTween(targets, fromVars, toVars, position); }
+        set(targets, vars, position) { return this.addTween(targets, null, Object.assign({}, vars, { duration: 0 }), position); }
 
-    const labelEl = document.getElementById('countdownLabel');
-    if (labelEl) labelEl.textContent = labelText;
+        add(item, position) {
+            if (typeof item === 'string') return this.addLabel(item, position);
+            if (typeof item === 'function') this.addStep(this.position(position), { call: item });
+            return this;
+        }
 
-    // Update countdown every second
-    updateCountdown(targetDate);
-    countdownInterval = setInterval(() => updateCountdown(targetDate), 1000);
-}
+        addLabel(name, position) {
+            this.labels[name] = this.position(position);
+            return this;
+        }
 
-function updateCountdown(targetDate) {
-    const now = new Date();
-    const diff = targetDate - now;
+        duration() {
+            return this.end;
+        }
 
-    if (diff <= 0) {
-        // Countdown finished - refresh page
-        document.getElementById('countDays').textContent = '00';
-        document.getElementById('countHours').textContent = '00';
-        document.getElementById('countMins').textContent = '00';
-        document.getElementById('countSecs').textContent = '00';
-        if (countdownInterval) clearInterval(countdownInterval);
-        return;
-    }
+        time(value) {
+            if (value !== undefined) return this.seek(value);
+            if (this.isPaused || this.isKilled) return this.playhead;
+            return Math.min(this.playhead + (clock() - this.since) * this.speed, this.end);
+        }
 
-    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-    const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-    const mins = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-    const secs = Math.floor((diff % (1000 * 60)) / 1000);
+        progress(value, suppressEvents = false) {
+            if (value === undefined) return this.end ? this.time() / this.end : 1;
+            return this.seek(value * this.end, suppressEvents);
+        }
 
-    updateCountdownValue('countDays', days);
-    updateCountdownValue('countHours', hours);
-    updateCountdownValue('countMins', mins);
-    updateCountdownValue('countSecs', secs);
-}
+        timeScale(value) {
+            if (value === undefined) return this.speed;
+            this.playhead = this.time();
+            this.since = clock();
+            this.speed = value;
+            this.schedule();
+            return this;
+        }
 
-// ============ SAKURA PETALS (Cherry Blossom Effect) ============
-let sakuraInterval = null;
+        paused(value) {
+            if (value === undefined) return this.isPaused;
+            return value ? this.pause() : this.resume();
+        }
 
-function createPetals() {
-    const container = document.getElementById('sakuraContainer');
-    if (!container) return;
+        pause() {
+            this.playhead = this.time();
+            this.isPaused = true;
+            this.schedule();
+            return this;
+        }
 
-    // Clear any existing petals
-    stopPetals();
+        resume() {
+            if (this.isPaused) this.since = clock();
+            this.isPaused = false;
+            this.schedule();
+            return this;
+        }
 
-    // Sakura SVGs to use
-    const sakuraSources = [
-        'assets/svgs/cherry-blossom.svg',
-        'assets/svgs/sakura-petal.svg',
-        'assets/svgs/sakura-branch.svg'
-    ];
+        play() {
+            return this.resume();
+        }
 
-    // Initial burst of petals
-    for (let i = 0; i < 25; i++) {
-        setTimeout(() => spawnSakuraPetal(container, sakuraSources), i * 200);
-    }
+        kill() {
+            this.isKilled = true;
+            this.schedule();
+            live.delete(this);
+            return this;
+        }
 
-    // Continuous petal spawning
-    sakuraInterval = setInterval(() => {
-        if (document.visibilityState === 'visible') {
-            spawnSakuraPetal(container, sakuraSources);
+        // Jumps without running callbacks on the way (as GSAP's seek does). Styles are put
+        // back or brought forward at once.
+        seek(position, suppressEvents = true) {
+            const time = Math.min(typeof position === 'string' ? this.position(position) : Math.max(position, 0), this.end);
+            this.version++;
+            this.steps.slice().reverse().forEach(step => {
+                if (step.done && step.time > time + EPSILON) {
+                    step.done = false;
+                    if (step.undo) step.undo();
+                }
+            });
+            this.steps.forEach(step => {
+                if (step.done || step.time > time + EPSILON) return;
+                step.done = true;
+                if (step.run) step.run(false);
+                else if (!suppressEvents) step.call();
+            });
+            this.playhead = time;
+            this.since = clock();
+            this.isComplete = false;
+            this.schedule();
+            return this;
         }
-    }, 500);
-}
 
-function spawnSakuraPetal(container, sources) {
-    const petal = document.createElement('img');
-    petal.src = sources[Math.floor(Math.random() * sources.length)];
-    petal.className = 'sakura-petal';
+        schedule() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (this.isPaused || this.isKilled || this.isComplete) return;
+            const pending = this.steps.find(step => !step.done);
+            const wait = Math.max((pending ? pending.time : this.end) - this.time(), 0) / this.speed;
+            this.timer = setTimeout(() => this.fire(), wait * 1000);
+        }
 
-    // Random horizontal position
-    petal.style.left = `${Math.random() * 100}%`;
+        // Runs every step that's due. A callback that pauses, seeks or kills the timeline stops the run.
+        fire() {
+            this.timer = null;
+            const time = this.time();
+            const version = this.version;
+            for (const step of this.steps) {
+                if (step.time > time + EPSILON) break;
+                if (step.done) continue;
+                step.done = true;
+                if (step.run) step.run(true);
+                else step.call();
+                if (this.isPaused || this.isKilled || version !== this.version) return;
+            }
+            if (time >= this.end - EPSILON && this.steps.every(step => step.done)) {
+                this.isComplete = true;
+                live.delete(this);
+                if (typeof this.vars.onComplete === 'function') this.vars.onComplete();
+                return;
+            }
+            this.schedule();
+        }
+    }
 
-    // Random size (smaller petals for variety)
-    const size = 20 + Math.random() * 40;
-    petal.style.width = `${size}px`;
-    petal.style.height = 'auto';
+    // Single tweens run on a timeline of their own
+    const single = (method) => (...args) => new FallbackTimeline()[method](...args, 0);
+
+    return {
+        timeline: (vars) => new FallbackTimeline(vars),
+        to: single('to'),
+        from: single('from'),
+        fromTo: single('fromTo'),
+        set: (targets, vars) => toElements(targets).forEach(el => applyStyles(el, pickStyles(vars))),
+        globalTimeline: {
+            clear: () => Array.from(live).forEach(tl => tl.kill())
+        }
+    };
+}
 
-    // Random animation timing for natural look
-    const fallDuration = 8 + Math.random() * 12; // 8-20s to fall
-    const swayDuration = 2 + Math.random() * 4; // 2-6s sway cycle
-    const delay = Math.random() * 5;
+// ============ ACCESSIBILITY ============
+// With prefers-reduced-motion, tweens keep their fades but lose movement, and particle
+// effects (confetti, fireworks, petals, bursts) are skipped. A live region reads out each
+// stage and memory line, since they fade through elements a screen reader can't follow.
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+const MOTION_PROPS = ['x', 'y', 'scale', 'rotation', 'letterSpacing'];
+let focusBeforeLetter = null;
 
-    petal.style.animationDuration = `${fallDuration}s, ${swayDuration}s`;
-    petal.style.animationDelay = `-${delay}s, -${Math.random() * 3}s`;
+function prefersReducedMotion() {
+    return !!(reducedMotionQuery && reducedMotionQuery.matches);
+}
 
-    // Random opacity variation
-    petal.style.opacity = 0.5 + Math.random() * 0.4;
+// Tween vars without the movement when reduced motion is on
+function calmVars(vars) {
+    if (!vars || !prefersReducedMotion()) return vars;
+    const calm = Object.assign({}, vars);
+    MOTION_PROPS.forEach(prop => delete calm[prop]);
+    if (/back|elastic|bounce/.test(calm.ease)) delete calm.ease;
+    return calm;
+}
 
-    container.appendChild(petal);
+// motion.timeline() whose tweens go through calmVars
+function createTimeline(vars) {
+    const tl = motion.timeline(vars);
+    if (!prefersReducedMotion()) return tl;
 
-    // Remove petal after animation completes
-    setTimeout(() => {
-        if (petal.parentNode) {
-            petal.remove();
-        }
-    }, (fallDuration + delay) * 1000);
+    ['to', 'from', 'set'].forEach(method => {
+        const tween = tl[method].bind(tl);
+        tl[method] = (targets, tweenVars, position) => tween(targets, calmVars(tweenVars), position);
+    });
+    const fromTo = tl.fromTo.bind(tl);
+    tl.fromTo = (targets, fromVars, toVars, position) => fromTo(targets, calmVars(fromVars), calmVars(toVars), position);
+    return tl;
 }
 
-function stopPetals() {
-    if (sakuraInterval) {
-        clearInterval(sakuraInterval);
-        sakuraInterval = null;
-    }
-    const container = document.getElementById('sakuraContainer');
-    if (container) {
-        container.innerHTML = '';
+function applyMotionPreference() {
+    const reduced = prefersReducedMotion();
+    document.body.classList.toggle('reduced-motion', reduced);
+    if (reduced) {
+        stopPetals();
+        if (dayEffectLayer) dayEffectLayer.innerHTML = '';
+    } else if (currentDayIndex === -1 && comingSoonOverlay.classList.contains('visible')) {
+        createPetals();
     }
 }
 
-function hideComingSoon() {
+function getTextOf(selector) {
+    const el = document.querySelector(selector);
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+function announce(text) {
+    const region = document.getElementById('storyAnnouncer');
+    if (!region || !text) return;
+    region.textContent = '';
+    // Emptied first so the same words are read out again when a line repeats
+    setTimeout(() => { region.textContent = text.replace(/\s+/g, ' ').trim(); }, 50);
+}
+
+// Only the memory line on screen is exposed; the live region has already read it out
+function showMemoryLine(idea) {
+    document.querySelectorAll('#stage4 .idea').forEach(el => el.setAttribute('aria-hidden', el === idea ? 'false' : 'true'));
+    announce(idea.textContent);
+}
+
+function focusElement(el) {
+    if (el && typeof el.focus === 'function') el.focus({ preventScroll: true });
+}
+
+// When an interactive stage closes with focus inside it, focus would fall back to the page
+function keepFocusInStory() {
+    const active = document.activeElement;
+    if (active && active !== document.body && active.closest('.stage')) {
+        focusElement(document.getElementById('storyPauseBtn'));
+    }
+}
+
+function isLetterOpen() {
+    return document.getElementById('letterModal').classList.contains('visible');
+}
+
+// Keeps Tab inside the open letter
+function trapLetterFocus(e) {
+    const focusable = Array.from(document.querySelectorAll('#letterModal button, #letterModal a[href], #letterModal [tabindex="0"]'));
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        focusElement(last);
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        focusElement(first);
+    }
+}
+
+function setupAccessibility() {
+    applyMotionPreference();
+    if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+        reducedMotionQuery.addEventListener('change', applyMotionPreference);
+    }
+
+    // The music button is a div, so it needs Enter/Space of its own
+    playPauseBtn.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        e.stopPropagation();
+        toggleMusic();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (isLetterOpen()) {
+            if (e.key === 'Escape') closeLoveLetter();
+            if (e.key === 'Tab') trapLetterFocus(e);
+            return;
+        }
+        if (e.key === 'Escape' && document.getElementById('recapMontage').classList.contains('visible')) {
+            finishRecapMontage();
+        }
+    });
+}
+
+// ============ BUILT-IN STAGES ============
+// Stage 1: Greeting
+registerStage('greeting', ({ tl, options }) => {
+    document.querySelector('.greeting-title').innerHTML =
+        `${options.hello || t('greetingHello')} <span class="highlight-name">${options.name || getNickname()}</span>`;
+    applyStageCopy('.greeting-sub', options.subtitle);
+
+    tl.to('#stage1', { opacity: 1, visibility: 'visible', duration: 1 })
+        .from('.greeting-title', { y: 30, opacity: 0, duration: 0.8, ease: 'back.out(1.7)' })
+        .from('.greeting-sub', { y: 20, opacity: 0, duration: 0.6 }, '-=0.4')
+        .to('#stage1', { opacity: 0, visibility: 'hidden', duration: 0.5 }, `+=${options.hold || 1.5}`);
+}, { describe: () => getTextOf('#stage1') });
+
+// Stage 2: Day Announcement
+registerStage('announce', ({ tl, options }) => {
+    // Title and icon are filled in per day by populateDayContent()
+    if (options.title) document.getElementById('stageDayTitle').textContent = options.title;
+    if (options.icon) document.getElementById('stageIcon').textContent = options.icon;
+
+    tl.to('#stage2', { opacity: 1, visibility: 'visible', duration: 0.5 })
+        .from('#stageIcon', { scale: 0, rotation: -180, duration: 0.6, ease: 'back.out(1.5)' })
+        .from('#stageDayTitle', { opacity: 0, scale: 0.8, duration: 0.5 }, '-=0.3')
+        .to('#stage2', { opacity: 0, visibility: 'hidden', duration: 0.5 }, `+=${options.hold || 2}`);
+}, { describe: () => getTextOf('#stage2') });
+
+// Stage 3: Typing in input bar, then sending to bubble
+registerStage('chat', (ctx) => {
+    const { tl, day, options } = ctx;
+    // Set on every run - sending empties the input bar, so replays need the text back
+    setChatMessage(options.message || t('chatMessage', { title: day.title, icon: day.icon }));
+    motion.set('.wa-input-text span', { opacity: 0 });
+    if (options.voice) setupChatVoiceNote(ctx, options.voice);
+
+    tl.to('#stage3', { opacity: 1, visibility: 'visible', duration: 0.3 })
+        .from('.text-box', { scale: 0.8, opacity: 0, y: 30, duration: 0.6, ease: 'back.out(1.4)' })
+        // Type in the input bar
+        .to('.wa-input-text span', { opacity: 1, duration: 0.04, stagger: 0.06 })
+        .to({}, { duration: 0.5 }) // Pause after typing
+        // Press send button
+        .to('.fake-send-btn', { scale: 0.9, duration: 0.1 })
+        .to('.fake-send-btn', { scale: 1.05, duration: 0.15 })
+        // Clear input and show message bubble
+        .add(() => {
+            const waInput = document.getElementById('waInputText');
+            const typingText = document.getElementById('typingText');
+            waInput.textContent = t('chatPlaceholder');
+            waInput.classList.add('placeholder');
+            typingText.style.display = 'block';
+            typingText.classList.add('sent');
+        })
+        .from('#typingText', { scale: 0.8, opacity: 0, y: 20, duration: 0.3, ease: 'back.out(1.2)' });
+
+    if (options.voice) {
+        // The voice note follows the text, with a moment to tap it
+        tl.add(() => { document.getElementById('chatVoiceNote').style.display = 'flex'; })
+            .from('#chatVoiceNote', { scale: 0.8, opacity: 0, y: 20, duration: 0.3, ease: 'back.out(1.2)' }, '+=0.4')
+            .to({}, { duration: options.voiceHold || 3 });
+    }
+
+    tl.to({}, { duration: options.hold || 1 }) // Show the sent message
+        .to('#stage3', { opacity: 0, visibility: 'hidden', duration: 0.4 });
+}, {
+    reset: () => {
+        const bubble = document.getElementById('chatVoiceNote');
+        if (bubble) bubble.style.display = 'none';
+    },
+    describe: ({ options }) => t('describeChat', { name: getNickname(), message: getTextOf('#typingText') }) +
+        (options.voice ? ` ${t('describeChatVoice')}` : '')
+});
+
+// Stage 4: Dynamic Memories
+registerStage('memories', ({ tl, options, isCurrent }) => {
+    tl.to('#stage4', { opacity: 1, visibility: 'visible', duration: 1 });
+
+    // Animate all visible .idea elements dynamically
+    const ideas = document.querySelectorAll('#stage4 .idea');
+    if (ideas.length > 0) {
+        ideas.forEach((idea, index) => {
+            const isLast = index === ideas.length - 1;
+
+            // Animate In
+            tl.addLabel(`memory-${index}`);
+            tl.add(() => showMemoryLine(idea));
+            tl.to(idea, { opacity: 1, y: 0, duration: 1 });
+
+            // Hold Logic - a line with a voice note waits for the clip, then a short beat
+            let holdTime = idea.textContent.length > 40 ? (options.longHold || 4) : (options.hold || 3);
+            if (idea.dataset.voice) {
+                tl.add(() => {
+                    tl.pause();
+                    idea.classList.add('speaking');
+                    playVoiceNote(idea.dataset.voice).then(() => {
+                        idea.classList.remove('speaking');
+                        if (isCurrent()) continueStory(tl);
+                    });
+                });
+                holdTime = options.voiceHold || 1;
+            }
+            if (isLast) holdTime += 1.5; // Give the final line extra time
+
+            if (isLast) {
+                tl.to({}, { duration: holdTime });
+                tl.to(idea, { opacity: 0, duration: 0.6 });
+            } else {
+                tl.to(idea, { opacity: 0, duration: 0.5 }, `+=${holdTime}`);
+            }
+        });
+    } else {
+        tl.to({}, { duration: 1 }); // Fallback if no ideas
+    }
+
+    tl.to('#stage4', { opacity: 0, visibility: 'hidden', duration: 1 });
+});
+
+// Stage 5: Main Reveal (Card)
+registerStage('reveal', ({ tl, options }) => {
+    addRevealCardAnimation(tl, options);
+}, {
+    describe: () => ['#dayBadge', '#daySubtitle', '#quoteText', '#recipientName', '#dayMessage'].map(getTextOf).filter(Boolean).join('. ')
+});
+
+// ============ VALENTINE INTERACTION ============
+registerStage('valentine', showValentineStage, {
+    describe: () => `${getTextOf('.valentine-ask')} ${getTextOf('.valentine-forever')}`,
+    interactive: true,
+    reset: () => {
+        const stageValentine = document.getElementById('stageValentine');
+        if (stageValentine && stageValentine.autoAdvanceTimer) clearTimeout(stageValentine.autoAdvanceTimer);
+    }
+});
+
+function showValentineStage({ options, done }) {
+    applyStageCopy('.valentine-lead', options.lead);
+    applyStageCopy('.valentine-ask', options.question);
+    applyStageCopy('.valentine-forever', options.highlight);
+    applyStageCopy('.valentine-hint', options.hint);
+    applyStageCopy('#valentineYes', options.yesLabel);
+    applyStageCopy('#valentineNo', options.noLabel);
+
+    const stageValentine = document.getElementById('stageValentine');
+    stageValentine.style.display = 'flex';
+
+    motion.to('#stageValentine', { opacity: 1, visibility: 'visible', duration: 0.5 });
+    motion.from('.valentine-container', calmVars({ scale: 0.8, opacity: 0, y: 30, duration: 0.8, ease: 'back.out(1.4)' }));
+
+    const vYes = document.getElementById('valentineYes');
+    const vNo = document.getElementById('valentineNo');
+    focusElement(vYes);
+    let advanced = false;
+    let answered = false; // One valentine_answer per stage - the first one given
+    let noDodges = 0;
+
+    const recordAnswer = (data) => {
+        if (answered) return;
+        answered = true;
+        recordResponse('valentine_answer', Object.assign(data, { noDodges }));
+    };
+
+    const advanceToCard = () => {
+        if (advanced) return;
+        advanced = true;
+        recordAnswer({ answer: 'none', timedOut: true });
+        motion.to('#stageValentine', {
+            opacity: 0, visibility: 'hidden', duration: 0.8, onComplete: done
+        });
+    };
+
+    const autoAdvanceTimer = setTimeout(advanceToCard, (options.autoAdvance || 9) * 1000);
+    stageValentine.autoAdvanceTimer = autoAdvanceTimer;
+
+    // YES Button -> Grand Romantic Celebration! 💕
+    vYes.onclick = () => {
+        if (advanced) return;
+        clearTimeout(autoAdvanceTimer);
+        advanced = true;
+        recordAnswer({ answer: 'yes' });
+        // MASSIVE Celebration - Fireworks + Hearts Rain + Confetti
+        createFireworks();
+        createHeartsRain();
+
+        // Continuous confetti burst
+        for (let i = 0; i < 50; i++) {
+            setTimeout(() => {
+                const x = Math.random() * window.innerWidth;
+                const y = Math.random() * window.innerHeight;
+                createConfetti(x, y);
+            }, i * 80);
+        }
+
+        // Multiple celebration waves
+        for (let wave = 0; wave < 5; wave++) {
+            setTimeout(() => createCelebration(), wave * 300);
+        }
+
+        // More fireworks after a moment
+        setTimeout(() => createFireworks(), 1500);
+        setTimeout(() => createHeartsRain(), 2000);
+
+        // Transition to Final Card with longer delay for celebration
+        motion.to('#stageValentine', {
+            opacity: 0, visibility: 'hidden', duration: 0.8, delay: 2.5, onComplete: done
+        });
+    };
+
+    // NO Button -> Runaway (Harder to catch). It stays put for keyboard focus and reduced motion.
+    vNo.onmouseover = vNo.ontouchstart = () => {
+        if (prefersReducedMotion()) return;
+        noDodges++;
+        const maxX = window.innerWidth / 2 - vNo.offsetWidth;
+        const maxY = window.innerHeight / 2 - vNo.offsetHeight;
+
+        const newX = (Math.random() - 0.5) * maxX * 1.5;
+        const newY = (Math.random() - 0.5) * maxY * 1.5;
+
+        motion.to(vNo, { x: newX, y: newY, duration: 0.2, ease: 'power2.out' });
+    };
+
+    // Somebody actually caught it - the sender should know 🙈
+    vNo.onclick = () => recordAnswer({ answer: 'no' });
+}
+
+// ============ PROPOSAL INTERACTION ============
+registerStage('proposal', showProposalStage, {
+    interactive: true,
+    describe: () => `${getTextOf('.proposal-question')} ${getTextOf('.proposal-sub')}`
+});
+
+function showProposalStage({ options, done }) {
+    applyStageCopy('.proposal-icon', options.icon);
+    applyStageCopy('.proposal-question', options.question);
+    applyStageCopy('.proposal-sub', options.subtitle);
+    applyStageCopy('#proposalYes', options.yesLabel);
+    applyStageCopy('#proposalNo', options.noLabel);
+    applyStageCopy('.response-icon', options.responseIcon);
+    applyStageCopy('.response-text', options.responseText);
+    applyStageCopy('.response-sub', options.responseSub);
+
+    const stageProposal = document.getElementById('stageProposal');
+    stageProposal.style.display = 'flex';
+
+    motion.to('#stageProposal', { opacity: 1, visibility: 'visible', duration: 0.5 });
+    motion.from('.proposal-container', calmVars({ scale: 0.8, opacity: 0, y: 30, duration: 0.6, ease: 'back.out(1.4)' }));
+
+    // Setup button handlers
+    const yesBtn = document.getElementById('proposalYes');
+    const noBtn = document.getElementById('proposalNo');
+    focusElement(yesBtn);
+    let answered = false; // One proposal_answer per stage - the first one given
+    let noDodges = 0;
+
+    const recordAnswer = (data) => {
+        if (answered) return;
+        answered = true;
+        recordResponse('proposal_answer', Object.assign(data, { noDodges }));
+    };
+
+    // Yes button - celebrate! (once - it's still the way on after a caught "no")
+    yesBtn.onclick = () => {
+        yesBtn.onclick = noBtn.onclick = null;
+        recordAnswer({ answer: 'yes' });
+        // Celebrate immediately!
+        createFireworks();
+        createHeartsRain();
+        createCelebration();
+
+        // Continuous confetti burst
+        for (let i = 0; i < 30; i++) {
+            setTimeout(() => {
+                const x = Math.random() * window.innerWidth;
+                const y = Math.random() * window.innerHeight;
+                createConfetti(x, y);
+            }, i * 100);
+        }
+
+        motion.to('#stageProposal', {
+            opacity: 0, visibility: 'hidden', duration: 0.3, onComplete: () => {
+                motion.to('#proposalResponse', { opacity: 1, visibility: 'visible', duration: 0.5 });
+                motion.from('.response-icon', calmVars({ scale: 0, rotation: 360, duration: 0.8, ease: 'back.out(2)' }));
+                motion.from('.response-text', calmVars({ opacity: 0, y: 20, duration: 0.5, delay: 0.3 }));
+                motion.from('.response-sub', { opacity: 0, duration: 0.4, delay: 0.5 });
+                announce(`${getTextOf('.response-text')} ${getTextOf('.response-sub')}`);
+
+                // After celebration message, continue to the next stage
+                setTimeout(() => {
+                    motion.to('#proposalResponse', {
+                        opacity: 0, visibility: 'hidden', duration: 0.5, onComplete: done
+                    });
+                }, 3000);
+            }
+        });
+    };
+
+    // No button - run away! 😄 (but not from keyboard focus, or with reduced motion)
+    noBtn.onmouseover = noBtn.ontouchstart = () => {
+        if (prefersReducedMotion()) return;
+        noDodges++;
+        const container = stageProposal.querySelector('.proposal-container');
+        const maxX = container.offsetWidth / 2 - noBtn.offsetWidth;
+        const maxY = container.offsetHeight / 3;
+
+        const newX = (Math.random() - 0.5) * maxX * 2;
+        const newY = (Math.random() - 0.5) * maxY * 2;
+
+        motion.to(noBtn, {
+            x: newX,
+            y: newY,
+            duration: 0.2,
+            ease: 'power2.out'
+        });
+    };
+
+    noBtn.onclick = () => {
+        noBtn.onclick = null;
+        recordAnswer({ answer: 'no' });
+    };
+}
+
+// ============ TEDDY GIFT INTERACTION ============
+registerStage('teddy', showTeddyStage, {
+    interactive: true,
+    describe: () => `${getTextOf('.teddy-icon')} ${t('describeGift')} ${getTextOf('.tap-hint')}`
+});
+
+function showTeddyStage({ options, done }) {
+    applyStageCopy('.teddy-icon', options.icon);
+    applyStageCopy('.teddy-message', options.message);
+    applyStageCopy('.teddy-sub', options.subtitle);
+    applyStageCopy('.tap-hint', options.hint);
+
+    const stageTeddy = document.getElementById('stageTeddy');
+    stageTeddy.style.display = 'flex';
+
+    motion.to('#stageTeddy', { opacity: 1, visibility: 'visible', duration: 0.5 });
+    motion.from('.teddy-gift-container', calmVars({ scale: 0.8, opacity: 0, y: 30, duration: 0.6, ease: 'back.out(1.4)' }));
+
+    const giftBox = document.getElementById('giftBox');
+    const giftWrapper = document.getElementById('giftWrapper');
+    const teddyReveal = document.getElementById('teddyReveal');
+    focusElement(giftBox);
+
+    giftBox.onclick = () => {
+        if (giftBox.classList.contains('opened')) return;
+        recordResponse('gift_opened');
+        giftBox.classList.add('opened');
+        giftBox.textContent = '🎊';
+
+        motion.to(giftWrapper, calmVars({
+            opacity: 0, scale: 0.5, duration: 0.4, onComplete: () => {
+                keepFocusInStory();
+                giftWrapper.style.display = 'none';
+                teddyReveal.classList.add('show');
+                announce(`${getTextOf('.teddy-message')} ${getTextOf('.teddy-sub')}`);
+
+                // Create mini celebration
+                for (let i = 0; i < 10; i++) {
+                    setTimeout(() => createConfetti(
+                        window.innerWidth / 2 + (Math.random() - 0.5) * 200,
+                        window.innerHeight / 2
+                    ), i * 100);
+                }
+
+                // Continue to the next stage after a moment
+                setTimeout(() => {
+                    motion.to('#stageTeddy', {
+                        opacity: 0, visibility: 'hidden', duration: 0.5, onComplete: done
+                    });
+                }, 3500);
+            }
+        }));
+    };
+}
+
+// ============ REVEAL CARD ANIMATION (Extracted for reuse) ============
+function addRevealCardAnimation(tl, options = {}) {
+    tl.to('#stage5', { opacity: 1, visibility: 'visible', duration: 0.5 })
+        .from('.reveal-card', { scale: 0.8, opacity: 0, y: 50, duration: 1, ease: 'back.out(1.4)' })
+        .from('.day-number', { opacity: 0, y: -10, duration: 0.3 }, '-=0.5')
+        .from('.day-badge', { opacity: 0, scale: 0.8, duration: 0.4 }, '-=0.3')
+        .from('.subtitle', { opacity: 0, duration: 0.4 }, '-=0.2')
+        .from('.main-icon', { scale: 0, rotation: -45, stagger: 0.2, duration: 0.5, ease: 'back.out(2)' }, '-=0.2')
+        .from('.quote', { opacity: 0, y: 20, duration: 0.6 }, '-=0.2')
+        .from('.name', { opacity: 0, letterSpacing: '15px', duration: 0.8 }, '-=0.3')
+        .from('.message', { opacity: 0, x: -20, duration: 0.5 }, '-=0.3')
+        .from('.footer', { opacity: 0, duration: 0.4 }, '-=0.2')
+        // Celebration
+        .add(() => createCelebration(), '-=0.5')
+        // Hold for reading
+        .to({}, { duration: options.hold || 8 })
+        // Fade out card
+        .to('#stage5', { opacity: 0, visibility: 'hidden', duration: 0.8 });
+}
+
+// Show End Screen (Stage 7)
+function addEndScreenAnimation(tl) {
+    tl.add(() => {
+        const stage7 = document.getElementById('stage7');
+        stage7.style.display = 'flex';
+        announce(getTextOf('#replaySection p'));
+        if (!isLetterOpen()) focusElement(document.getElementById('replayBtn'));
+    })
+        .to('#stage7', { opacity: 1, visibility: 'visible', duration: 0.8 });
+}
+
+function createCelebration() {
+    const container = document.getElementById('celebrationContainer');
+    container.innerHTML = '';
+    if (prefersReducedMotion()) return;
+    const day = config.days[currentDayIndex];
+    const symbols = ['🎈', '🎉', '✨', '💖', '🎊', ...day.petalSymbols.slice(0, 3)];
+
+    for (let i = 0; i < 20; i++) {
+        const balloon = document.createElement('div');
+        balloon.className = 'balloon';
+        balloon.textContent = symbols[Math.floor(Math.random() * symbols.length)];
+        balloon.style.left = `${Math.random() * 100}%`;
+        balloon.style.animationDelay = `${Math.random() * 2}s`;
+        balloon.style.animationDuration = `${3 + Math.random() * 3}s`;
+        container.appendChild(balloon);
+    }
+}
+
+
+// What to show when no day is open: the recap gallery or the Coming Soon countdown
+function showWaitingView(index) {
+    if (index === RECAP_INDEX) {
+        showRecap();
+    } else {
+        hideRecap();
+        showComingSoon();
+    }
+}
+
+function showComingSoon() {
+    const overlay = document.getElementById('comingSoonOverlay');
+    const csFor = document.getElementById('csFor');
+    if (csFor) csFor.textContent = t('comingSoonFor', { name: getNickname() });
+
+    currentDayIndex = -1;
+    setCustomCursorForDay(-1);
+    setMusicPlayerTheme(null);
+    applyTheme(null);
+    stopEffects();
+    overlay.classList.add('visible');
+    document.getElementById('stagesContainer').style.display = 'none';
+    document.getElementById('musicPlayer').style.display = 'flex'; // Show player for music control
+
+    createPetals();
+    setupMusicForDay(); // Trigger default music
+    startCountdown(); // Start the countdown timer
+}
+
+// ============ COUNTDOWN TIMER ============
+let countdownInterval = null;
+
+function updateCountdownValue(id, value) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    const text = formatCountdownNumber(value);
+    const label = el.parentNode.querySelector('.countdown-label');
+    const unitLabel = label && getUnitLabel(label.dataset.unit, value);
+    if (unitLabel && label.textContent !== unitLabel) label.textContent = unitLabel;
+    if (el.textContent !== text) {
+        el.textContent = text;
+        const box = el.closest('.countdown-box');
+        if (box) {
+            box.classList.remove('tick');
+            // Force reflow to restart animation
+            void box.offsetWidth;
+            box.classList.add('tick');
+        }
+        el.classList.remove('flip');
+        void el.offsetWidth;
+        el.classList.add('flip');
+    }
+}
+
+// Picks what the Coming Soon overlay counts down to, straight from the schedule
+function getCountdownTarget(now) {
+    const next = getNextScheduleEntry(now);
+    if (next) {
+        const weekStarted = now >= schedule[0].start;
+        return {
+            date: next.start,
+            label: t(weekStarted ? 'countdownNext' : 'countdownStart'),
+            note: t(weekStarted ? 'noteNext' : 'noteStart', { title: next.day.title, date: formatScheduleDate(next.start, 'long') })
+        };
+    }
+
+    // Week is over - count to the first day of the next one
+    const nextStart = getNextWeekStart(now);
+    return {
+        date: nextStart,
+        label: t('countdownReturn'),
+        note: nextStart ? t('noteReturn', { date: formatScheduleDate(nextStart, 'long') }) : ''
+    };
+}
+
+function startCountdown() {
+    if (countdownInterval) clearInterval(countdownInterval);
+
+    const target = getCountdownTarget(getNow());
+
+    const labelEl = document.getElementById('countdownLabel');
+    if (labelEl) labelEl.textContent = target.label;
+    const noteEl = document.getElementById('csStartText');
+    if (noteEl) noteEl.textContent = target.note;
+
+    if (!target.date) return;
+
+    // Update countdown every second
+    updateCountdown(target.date);
+    countdownInterval = setInterval(() => updateCountdown(target.date), 1000);
+}
+
+function updateCountdown(targetDate) {
+    const now = getNow();
+    const diff = targetDate - now;
+
+    if (diff <= 0) {
+        // Countdown finished - hand over to the unlocked day (or the next target)
+        ['countDays', 'countHours', 'countMins', 'countSecs'].forEach(id => {
+            document.getElementById(id).textContent = formatCountdownNumber(0);
+        });
+        if (countdownInterval) clearInterval(countdownInterval);
+        countdownInterval = null;
+        checkForRollover();
+        if (currentDayIndex === -1 && !countdownInterval) startCountdown();
+        return;
+    }
+
+    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+    const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+    const mins = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+    const secs = Math.floor((diff % (1000 * 60)) / 1000);
+
+    updateCountdownValue('countDays', days);
+    updateCountdownValue('countHours', hours);
+    updateCountdownValue('countMins', mins);
+    updateCountdownValue('countSecs', secs);
+}
+
+// ============ LIVE ROLLOVER ============
+// Keeps an open tab in step with the schedule: when the next unlock boundary passes
+// (or a sleeping tab wakes up past one) the page moves to the new day without a reload.
+let rolloverTimer = null;
+let rolloverWatching = false;
+let scheduledDayIndex = -1; // Day the schedule last landed on (the recipient may be browsing another)
+const ROLLOVER_MAX_WAIT = 60 * 1000; // Re-check at least every minute; long timers drift while devices sleep
+
+// Next moment the active day changes - a day unlocking or the current one closing
+function getNextBoundary(now) {
+    let next = null;
+    const edges = [getRecapEnd()];
+    schedule.forEach(entry => edges.push(entry.start, entry.end));
+    edges.forEach(edge => {
+        if (edge && edge > now && (!next || edge < next)) next = edge;
+    });
+    return next;
+}
+
+function scheduleNextRollover() {
+    if (rolloverTimer) clearTimeout(rolloverTimer);
+    rolloverTimer = null;
+    if (!isDateLocked) return;
+
+    const boundary = getNextBoundary(getNow());
+    if (!boundary) return;
+
+    const wait = Math.min(boundary - getNow() + 250, ROLLOVER_MAX_WAIT);
+    rolloverTimer = setTimeout(checkForRollover, Math.max(wait, 0));
+}
+
+function checkForRollover() {
+    if (!isDateLocked) return;
+
+    const todayIndex = getLandingDayIndex();
+    if (todayIndex !== scheduledDayIndex) {
+        scheduledDayIndex = todayIndex;
+        if (todayIndex < 0) {
+            returnToWaitingView(todayIndex);
+        } else {
+            unsealDays().then(() => unlockDay(todayIndex));
+        }
+    }
+    scheduleNextRollover();
+}
+
+function startRolloverWatch() {
+    if (!rolloverWatching) {
+        rolloverWatching = true;
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') checkForRollover();
+        });
+        window.addEventListener('pageshow', checkForRollover);
+    }
+    scheduleNextRollover();
+}
+
+function stopCurrentDay() {
+    motion.globalTimeline.clear();
+    const letterModal = document.getElementById('letterModal');
+    if (letterModal && letterModal.classList.contains('visible')) closeLoveLetter();
+    resetAllStages();
+}
+
+function returnToWaitingView(index) {
+    stopCurrentDay();
+    showWaitingView(index);
+    updateDebugInfo();
+}
+
+// Moves from the overlay (or the previous day) into a freshly unlocked day
+function unlockDay(index) {
+    const day = config.days[index];
+    stopCurrentDay();
+
+    currentDayIndex = index;
+    hideRecap();
+    hideComingSoon();
+    populateDayContent(day);
+    createDayDots();
+    setupMusicForDay();
+    updateDebugInfo();
+
+    playUnlockAnimation(day, () => playTimeline());
+}
+
+// "A new day has unlocked" announcement shown before the day's story starts
+function playUnlockAnimation(day, onComplete) {
+    const overlay = document.getElementById('dayUnlockOverlay');
+    if (!overlay) {
+        onComplete();
+        return;
+    }
+
+    document.getElementById('unlockIcon').textContent = '🔒';
+    document.getElementById('unlockTitle').textContent = day.title;
+    overlay.classList.add('visible');
+    announce(t('newDayUnlocked', { title: day.title }));
+
+    const tl = createTimeline();
+    tl.fromTo(overlay, { opacity: 0 }, { opacity: 1, duration: 0.6 })
+        .from('.unlock-kicker', { opacity: 0, y: 20, duration: 0.5 }, '-=0.2')
+        .fromTo('#unlockIcon', { scale: 0.6, rotation: 0 }, { scale: 1, duration: 0.5, ease: 'back.out(2)' })
+        .to('#unlockIcon', { rotation: -12, duration: 0.08, repeat: 5, yoyo: true })
+        .add(() => {
+            document.getElementById('unlockIcon').textContent = day.icon || '💝';
+            for (let i = 0; i < 12; i++) {
+                setTimeout(() => createConfetti(
+                    window.innerWidth / 2 + (Math.random() - 0.5) * 240,
+                    window.innerHeight / 2
+                ), i * 60);
+            }
+        })
+        .fromTo('#unlockIcon', { scale: 0.4 }, { scale: 1.3, duration: 0.6, ease: 'elastic.out(1, 0.5)' })
+        .from('#unlockTitle', { opacity: 0, scale: 0.8, duration: 0.6, ease: 'back.out(1.7)' }, '-=0.3')
+        .to({}, { duration: 1.8 })
+        .to(overlay, {
+            opacity: 0, duration: 0.6, onComplete: () => {
+                overlay.classList.remove('visible');
+                onComplete();
+            }
+        });
+}
+
+// ============ POST-WEEK RECAP ============
+// After the last day the whole week stays open as a gallery for config.recapDays,
+// then the countdown to next year takes over.
+let isRecapMode = false;
+let recapMontageTimeline = null;
+
+function showRecap() {
+    const overlay = document.getElementById('recapOverlay');
+    if (!overlay) {
+        showComingSoon();
+        return;
+    }
+
+    isRecapMode = true;
+    currentDayIndex = -1;
+    comingSoonOverlay.classList.remove('visible');
+    if (countdownInterval) {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+    }
+    stopPetals();
+
+    setCustomCursorForDay(-1);
+    setMusicPlayerTheme(null);
+    applyTheme(null);
+    stopEffects();
+    document.getElementById('stagesContainer').style.display = 'none';
+    document.getElementById('musicPlayer').style.display = 'flex';
+
+    buildRecapGallery();
+    overlay.classList.add('visible');
+    motion.fromTo('.recap-card', calmVars({ opacity: 0, y: 30 }), calmVars({ opacity: 1, y: 0, duration: 0.5, stagger: 0.08, ease: 'back.out(1.4)' }));
+
+    setupMusicForDay(); // Back to the default track
+}
+
+function hideRecap() {
+    isRecapMode = false;
+    stopRecapMontage();
+    const overlay = document.getElementById('recapOverlay');
+    if (overlay) overlay.classList.remove('visible');
+    const backBtn = document.getElementById('recapBackBtn');
+    if (backBtn) backBtn.style.display = 'none';
+}
+
+function buildRecapGallery() {
+    const gallery = document.getElementById('recapGallery');
+    gallery.innerHTML = '';
+
+    config.days.forEach((day, index) => {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = 'recap-card';
+        card.style.setProperty('--card-color', day.themeColor);
+        card.style.background = `linear-gradient(160deg, ${day.bgStart} 0%, ${day.bgMid} 60%, ${day.bgEnd} 100%)`;
+        card.innerHTML = `
+            <span class="recap-card-icon">${day.icon}</span>
+            <span class="recap-card-date">${day.dayNumber} • ${formatDayDate(index)}</span>
+            <span class="recap-card-title">${day.title}</span>
+            <span class="recap-card-quote">${day.quote}</span>
+            <span class="recap-card-play">${t('reliveDay')}</span>
+        `;
+        card.addEventListener('click', (e) => {
+            e.stopPropagation();
+            replayRecapDay(index);
+        });
+        gallery.appendChild(card);
+    });
+
+    // The letter lives on whichever day carries one (Valentine's Day by default)
+    const letterIndex = config.days.findIndex(day => day.letter);
+    const letterBtn = document.getElementById('recapLetterBtn');
+    letterBtn.style.display = letterIndex >= 0 ? 'inline-block' : 'none';
+    letterBtn.onclick = (e) => {
+        e.stopPropagation();
+        openLoveLetter(letterIndex);
+    };
+
+    const chatBtn = document.getElementById('recapChatBtn');
+    chatBtn.style.display = canReply() && getReplies().length ? 'inline-block' : 'none';
+    chatBtn.onclick = (e) => {
+        e.stopPropagation();
+        openReplies();
+    };
+
+    document.getElementById('recapMontageBtn').onclick = (e) => {
+        e.stopPropagation();
+        playRecapMontage();
+    };
+
+    const recapEnd = getRecapEnd();
+    const note = document.getElementById('recapNote');
+    note.textContent = recapEnd
+        ? t('recapNote', { date: formatScheduleDate(recapEnd, 'long') })
+        : '';
+}
+
+// Replays a single day through the normal story timeline
+function replayRecapDay(index) {
+    const overlay = document.getElementById('recapOverlay');
+    overlay.classList.remove('visible');
+    stopRecapMontage();
+
+    currentDayIndex = index;
+    document.getElementById('stagesContainer').style.display = 'block';
+    populateDayContent(config.days[index]);
+    setupMusicForDay();
+
+    const backBtn = document.getElementById('recapBackBtn');
+    if (backBtn) backBtn.style.display = 'inline-block';
+    playTimeline();
+}
+
+function backToRecap() {
+    stopCurrentDay();
+    showRecap();
+}
+
+// "Relive the week" - a quick slideshow through every day
+function playRecapMontage() {
+    const montage = document.getElementById('recapMontage');
+    const gallery = document.getElementById('recapOverlay');
+    stopRecapMontage();
+
+    gallery.classList.remove('visible');
+    montage.classList.add('visible');
+    montage.onclick = (e) => {
+        e.stopPropagation();
+        finishRecapMontage();
+    };
+
+    const tl = createTimeline({ onComplete: finishRecapMontage });
+    recapMontageTimeline = tl;
+
+    config.days.forEach((day, index) => {
+        tl.add(() => {
+            applyTheme(day);
+            document.getElementById('montageIcon').textContent = day.icon;
+            document.getElementById('montageDate').textContent = `${day.dayNumber} • ${formatDayDate(index)}`;
+            document.getElementById('montageTitle').textContent = day.title;
+            document.getElementById('montageQuote').innerHTML = day.quote;
+            announce(`${day.title}. ${getTextOf('#montageQuote')}`);
+        })
+            .fromTo('#montageIcon', { scale: 0, rotation: -90 }, { scale: 1, rotation: 0, duration: 0.6, ease: 'back.out(1.7)' })
+            .fromTo('#montageDate', { opacity: 0 }, { opacity: 0.7, duration: 0.3 }, '-=0.3')
+            .fromTo('#montageTitle', { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: 0.5 }, '-=0.2')
+            .fromTo('#montageQuote', { opacity: 0, y: 15 }, { opacity: 1, y: 0, duration: 0.6 }, '-=0.2')
+            .to({}, { duration: 2.5 })
+            .to('.montage-slide', { opacity: 0, duration: 0.5 })
+            .set('.montage-slide', { opacity: 1 });
+    });
+
+    tl.add(() => {
+        document.getElementById('montageIcon').textContent = '💞';
+        document.getElementById('montageDate').textContent = '';
+        document.getElementById('montageTitle').textContent = t('montageFinale');
+        document.getElementById('montageQuote').textContent = `— ${config.recipientName}`;
+        createHeartsRain();
+    })
+        .fromTo('.montage-slide', { opacity: 0, scale: 0.9 }, { opacity: 1, scale: 1, duration: 0.8 })
+        .to({}, { duration: 3 })
+        .to('.montage-slide', { opacity: 0, duration: 0.8 });
+}
+
+function stopRecapMontage() {
+    if (recapMontageTimeline) {
+        recapMontageTimeline.kill();
+        recapMontageTimeline = null;
+    }
+    const montage = document.getElementById('recapMontage');
+    if (montage) montage.classList.remove('visible');
+    motion.set('.montage-slide', { opacity: 1, scale: 1 });
+}
+
+function finishRecapMontage() {
+    if (!isRecapMode) return;
+    stopRecapMontage();
+    showRecap();
+    focusElement(document.getElementById('recapMontageBtn'));
+}
+
+// ============ THEME PACKS ============
+// A pack restyles the page through the CSS variables in css/themes.css (fonts, card shape,
+// buttons, page background) and picks the shapes used for particles and falling petals.
+// `theme` in config picks one for the whole week and a day's own `theme` overrides it;
+// `themes` adds custom packs on top of a built-in one. The dark variant follows `darkMode`.
+const SAKURA_SOURCES = [
+    'assets/svgs/cherry-blossom.svg',
+    'assets/svgs/sakura-petal.svg',
+    'assets/svgs/sakura-branch.svg'
+];
+
+const THEME_PACKS = {
+    classic: {},
+    minimal: { particles: ['•', '◦', '♡'], petals: ['assets/svgs/sakura-petal.svg'] },
+    retro: { particles: ['✦', '✧', '★', '🎞️'], petals: ['assets/svgs/sparkle-star.svg', 'assets/svgs/sakura-petal.svg'] },
+    night: { particles: ['✨', '⭐', '🌙', '💫'], petals: ['assets/svgs/sparkle-star.svg'], dark: true }
+};
+
+const DARK_MODES = [true, false, 'auto', 'system', 'night'];
+const DEFAULT_NIGHT_HOURS = '20:00-06:00';
+const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+let activeTheme = { name: 'classic', css: 'classic' };
+let themeVarNames = []; // Variables a custom pack set, cleared when the pack changes
+
+// Built-in packs by name, or a custom one from config.themes ({ base, vars, particles, petals, dark })
+function getThemePack(name) {
+    const custom = isPlainObject(config.themes) && isPlainObject(config.themes[name]) ? config.themes[name] : null;
+    if (custom) {
+        const base = THEME_PACKS[custom.base] ? custom.base : 'classic';
+        return Object.assign({ name, css: base }, THEME_PACKS[base], custom);
+    }
+    return THEME_PACKS[name] ? Object.assign({ name, css: name }, THEME_PACKS[name]) : null;
+}
+
+function setPageColors(day) {
+    const root = document.documentElement.style;
+    if (!day) {
+        ['--theme-color', '--bg-start', '--bg-mid', '--bg-end'].forEach(name => root.removeProperty(name));
+        return;
+    }
+    root.setProperty('--theme-color', day.themeColor);
+    root.setProperty('--bg-start', day.bgStart);
+    root.setProperty('--bg-mid', day.bgMid);
+    root.setProperty('--bg-end', day.bgEnd);
+}
+
+// Styles the page for a day (or for the week-wide views when day is null)
+function applyTheme(day) {
+    const name = (day && day.theme) || config.theme || 'classic';
+    const pack = getThemePack(name) || getThemePack('classic');
+    const root = document.documentElement;
+
+    setPageColors(day);
+    themeVarNames.forEach(varName => root.style.removeProperty(varName));
+    themeVarNames = Object.keys(isPlainObject(pack.vars) ? pack.vars : {});
+    themeVarNames.forEach(varName => root.style.setProperty(varName, pack.vars[varName]));
+
+    const changed = pack.name !== activeTheme.name;
+    activeTheme = pack;
+    root.dataset.theme = pack.css;
+    updateColorScheme();
+    if (changed && sakuraInterval) createPetals(); // Falling petals take the new pack's shapes
+}
+
+function isNightTime() {
+    const [from, to] = String(config.nightHours || DEFAULT_NIGHT_HOURS).split('-').map(parseUnlockTime);
+    const parts = getZonedParts(getNow());
+    const minutes = parts.hour * 60 + parts.minute;
+    const start = from.hour * 60 + from.minute;
+    const end = to.hour * 60 + to.minute;
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// darkMode: 'auto' (default) goes dark when the device asks for it or at night on the recipient's
+// clock; 'system' and 'night' use just one of those; true / false force it on or off
+function isDarkMode() {
+    if (activeTheme.dark) return true;
+    const mode = config.darkMode === undefined ? 'auto' : config.darkMode;
+    if (typeof mode === 'boolean') return mode;
+    const system = !!(colorSchemeQuery && colorSchemeQuery.matches);
+    if (mode === 'system') return system;
+    if (mode === 'night') return isNightTime();
+    return system || isNightTime();
+}
+
+function updateColorScheme() {
+    const dark = isDarkMode();
+    document.documentElement.dataset.mode = dark ? 'dark' : 'light';
+    document.documentElement.style.colorScheme = dark ? 'dark' : 'light';
+}
+
+function setupColorScheme() {
+    if (colorSchemeQuery) {
+        const onChange = () => updateColorScheme();
+        if (colorSchemeQuery.addEventListener) colorSchemeQuery.addEventListener('change', onChange);
+        else if (colorSchemeQuery.addListener) colorSchemeQuery.addListener(onChange);
+    }
+    setInterval(updateColorScheme, 60 * 1000); // Catches nightfall while the tab stays open
+}
+
+// ============ SAKURA PETALS (Cherry Blossom Effect) ============
+let sakuraInterval = null;
+
+function createPetals() {
+    const container = document.getElementById('sakuraContainer');
+    if (!container) return;
+
+    // Clear any existing petals
+    stopPetals();
+    if (prefersReducedMotion()) return;
+
+    // Sakura SVGs, or the theme pack's own shapes
+    const sakuraSources = activeTheme.petals || SAKURA_SOURCES;
+
+    // Initial burst of petals
+    for (let i = 0; i < 25; i++) {
+        setTimeout(() => spawnSakuraPetal(container, sakuraSources), i * 200);
+    }
+
+    // Continuous petal spawning
+    sakuraInterval = setInterval(() => {
+        if (document.visibilityState === 'visible') {
+            spawnSakuraPetal(container, sakuraSources);
+        }
+    }, 500);
+}
+
+function spawnSakuraPetal(container, sources) {
+    const petal = document.createElement('img');
+    petal.src = sources[Math.floor(Math.random() * sources.length)];
+    petal.className = 'sakura-petal';
+
+    // Random horizontal position
+    petal.style.left = `${Math.random() * 100}%`;
+
+    // Random size (smaller petals for variety)
+    const size = 20 + Math.random() * 40;
+    petal.style.width = `${size}px`;
+    petal.style.height = 'auto';
+
+    // Random animation timing for natural look
+    const fallDuration = 8 + Math.random() * 12; // 8-20s to fall
+    const swayDuration = 2 + Math.random() * 4; // 2-6s sway cycle
+    const delay = Math.random() * 5;
+
+    petal.style.animationDuration = `${fallDuration}s, ${swayDuration}s`;
+    petal.style.animationDelay = `-${delay}s, -${Math.random() * 3}s`;
+
+    // Random opacity variation
+    petal.style.opacity = 0.5 + Math.random() * 0.4;
+
+    container.appendChild(petal);
+
+    // Remove petal after animation completes
+    setTimeout(() => {
+        if (petal.parentNode) {
+            petal.remove();
+        }
+    }, (fallDuration + delay) * 1000);
+}
+
+function stopPetals() {
+    if (sakuraInterval) {
+        clearInterval(sakuraInterval);
+        sakuraInterval = null;
+    }
+    const container = document.getElementById('sakuraContainer');
+    if (container) {
+        container.innerHTML = '';
+    }
+}
+
+function hideComingSoon() {
     comingSoonOverlay.classList.remove('visible');
+    if (countdownInterval) {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+    }
     document.getElementById('stagesContainer').style.display = 'block';
     document.getElementById('musicPlayer').style.display = 'flex';
     stopPetals(); // Stop sakura when leaving Coming Soon
@@ -1076,547 +2760,2619 @@ function hideComingSoon() {
 
 
 
-function createDayDots() {
-    config.days.forEach((day, index) => {
-        const dot = document.createElement('div');
-        dot.className = 'day-dot';
-        dot.title = `${day.date} - ${day.title}`;
-        dot.addEventListener('click', () => goToDay(index));
-        dayIndicator.appendChild(dot);
+function createDayDots() {
+    dayIndicator.innerHTML = '';
+    config.days.forEach((day, index) => {
+        const entry = schedule.find(item => item.index === index);
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.className = 'day-dot';
+        if (entry) dot.dataset.date = toDateKey(entry.start);
+        dot.addEventListener('click', () => goToDay(index));
+        dayIndicator.appendChild(dot);
+    });
+    updateDayDots();
+}
+
+// Marks the active day and puts a lock on days that haven't unlocked yet
+function updateDayDots() {
+    document.querySelectorAll('.day-dot').forEach((dot, index) => {
+        const day = config.days[index];
+        const locked = !isDayUnlocked(index);
+        dot.classList.toggle('active', index === currentDayIndex);
+        dot.classList.toggle('locked', locked);
+        dot.innerHTML = locked ? '<i class="fas fa-lock"></i>' : '';
+        const label = { date: formatDayDate(index), title: day.title };
+        dot.title = locked ? `${t('dotLabel', label)} 🔒` : t('dotLabel', label);
+        dot.setAttribute('aria-label', t(locked ? 'dotLocked' : 'dotLabel', label));
+        if (index === currentDayIndex) dot.setAttribute('aria-current', 'date');
+        else dot.removeAttribute('aria-current');
+    });
+}
+
+function updateDay(index, animate = true) {
+    const day = config.days[index];
+
+    if (animate) {
+        mainCard.style.animation = 'slideOut 0.3s ease forwards';
+        setTimeout(() => {
+            applyDayContent(day, index);
+            mainCard.style.animation = 'slideIn 0.5s ease forwards';
+            resetAnimations();
+            setTimeout(() => updateDebugInfo(), 100);
+        }, 300);
+    } else {
+        applyDayContent(day, index);
+    }
+
+    updatePetals(day.petalSymbols);
+}
+
+function applyDayContent(day, index) {
+    setCustomCursorForDay(index);
+    stopEffects();
+    setMusicPlayerTheme(day);
+    applyTheme(day);
+
+    // Update new storytelling content
+    document.getElementById('dayNumber').textContent = day.dayNumber || `Day ${index + 1}`;
+    document.getElementById('daySubtitle').textContent = day.subtitle || '';
+    document.getElementById('dayMessage').textContent = day.message || '';
+
+    // Update content
+    dayBadge.textContent = t('cardBadge', { date: formatDayDate(index), title: day.title });
+    quoteText.innerHTML = day.quote;
+    recipientName.textContent = `— ${config.recipientName}`;
+    footerText.textContent = t('cardFooter', { title: day.title, date: formatDayDate(index, 'long') });
+
+    // Update icons (use multiple if available)
+    const icons = day.icons || [day.icon, day.icon, day.icon];
+    iconDisplay.innerHTML = `
+<div class="main-icon left">${icons[0]}</div>
+<div class="main-icon center">${icons[1] || icons[0]}</div>
+<div class="main-icon right">${icons[2] || icons[0]}</div>
+`;
+
+    // Stage 4: Memories - Dynamic Injection (for debug/day navigation too)
+    renderMemories(day);
+
+    // Update dots
+    document.querySelectorAll('.day-dot').forEach((dot, i) => {
+        dot.classList.toggle('active', i === index);
+    });
+
+    currentDayIndex = index;
+}
+
+function resetAnimations() {
+    document.querySelectorAll('.main-icon').forEach((el, i) => {
+        el.style.animation = 'none';
+        el.offsetHeight; // Trigger reflow
+        el.style.animation = `roseBloom 2s ease forwards ${0.5 + i * 0.3}s`;
+    });
+
+    const subtitle = document.getElementById('daySubtitle');
+    subtitle.style.animation = 'none';
+    subtitle.offsetHeight;
+    subtitle.style.animation = 'fadeIn 1.5s ease 0.3s forwards';
+
+    quoteText.style.animation = 'none';
+    quoteText.offsetHeight;
+    quoteText.style.animation = 'fadeUp 2.5s cubic-bezier(0.19, 1, 0.22, 1) forwards';
+
+    recipientName.style.animation = 'none';
+    recipientName.offsetHeight;
+    recipientName.style.animation = 'nameGlow 3s cubic-bezier(0.175, 0.885, 0.32, 1.275) forwards 2.5s';
+
+    const message = document.getElementById('dayMessage');
+    message.style.animation = 'none';
+    message.offsetHeight;
+    message.style.animation = 'fadeUp 1.5s ease 3s forwards';
+
+    footerText.style.animation = 'none';
+    footerText.offsetHeight;
+    footerText.style.animation = 'fadeIn 2s ease 3.5s forwards';
+}
+
+
+// ============ BACKGROUND ANIMATION ============
+// ============ BACKGROUND ANIMATION (PHYSICS SYSTEM) ============
+const floatingIcons = [];
+const PHYSICS_BOUNDS = { margin: -100 }; // Allow icons to go off-screen before removal
+
+function createFloatingBackground() {
+    const container = document.getElementById('background-animation');
+    let icons = config.floatingIcons || [
+        'assets/svgs/heart.svg',
+        'assets/svgs/balloon.svg',
+        'assets/svgs/happy.svg'
+    ];
+
+    // Use day-specific floating icons if defined
+    if (currentDayIndex >= 0 && config.days[currentDayIndex] && config.days[currentDayIndex].floatingIcons) {
+        icons = config.days[currentDayIndex].floatingIcons;
+    } else if (currentDayIndex >= 0) {
+        // Filter out sakura for generic days if not overridden
+        icons = icons.filter(icon =>
+            !icon.includes('cherry-blossom') &&
+            !icon.includes('sakura-petal') &&
+            !icon.includes('sakura-branch')
+        );
+    }
+
+    // Initial spawns using physics
+    for (let i = 0; i < 20; i++) {
+        spawnFloatingIcon(container, icons, true);
+    }
+
+    // Continuous spawning
+    setInterval(() => {
+        if (document.visibilityState === 'visible' && floatingIcons.length < 40 && !prefersReducedMotion()) {
+            spawnFloatingIcon(container, icons);
+        }
+    }, 2000);
+
+    // Start Physics Loop
+    requestAnimationFrame(physicsLoop);
+}
+
+function physicsLoop() {
+    // With reduced motion the icons stay where they are
+    if (prefersReducedMotion()) {
+        requestAnimationFrame(physicsLoop);
+        return;
+    }
+    const speed = 1 + beatBoost; // Beats push the icons along briefly
+    beatBoost *= 0.92;
+    floatingIcons.forEach((iconData, index) => {
+        // Update Position
+        iconData.x += iconData.vx * speed;
+        iconData.y += iconData.vy * speed;
+
+        // Wall Collisions (Bounce)
+        if (iconData.x <= 0 || iconData.x + iconData.size >= window.innerWidth) {
+            iconData.vx *= -1;
+            iconData.x = Math.max(0, Math.min(iconData.x, window.innerWidth - iconData.size));
+        }
+
+        // Remove if off-screen vertically (with buffer)
+        if (iconData.y < PHYSICS_BOUNDS.margin || iconData.y > window.innerHeight - PHYSICS_BOUNDS.margin) {
+            iconData.element.remove();
+            floatingIcons.splice(index, 1);
+            return;
+        }
+
+        // Object Collisions (Bounce off each other)
+        for (let j = index + 1; j < floatingIcons.length; j++) {
+            const other = floatingIcons[j];
+            const dx = iconData.x - other.x;
+            const dy = iconData.y - other.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const minDistance = (iconData.size + other.size) * 0.8; // Collision distance
+
+            if (distance < minDistance) {
+                // Elastic collision
+                [iconData.vx, other.vx] = [other.vx, iconData.vx];
+                [iconData.vy, other.vy] = [other.vy, iconData.vy];
+
+                // Push apart to prevent overlap
+                const angle = Math.atan2(dy, dx);
+                const push = 1;
+                iconData.x += Math.cos(angle) * push;
+                iconData.y += Math.sin(angle) * push;
+                other.x -= Math.cos(angle) * push;
+                other.y -= Math.sin(angle) * push;
+            }
+        }
+
+        // Apply to DOM
+        iconData.element.style.transform = `translate(${iconData.x}px, ${iconData.y}px)`;
+    });
+
+    requestAnimationFrame(physicsLoop);
+}
+
+function spawnFloatingIcon(container, icons, initial = false) {
+    const iconWrapper = document.createElement('div');
+    const img = document.createElement('img');
+    img.src = icons[Math.floor(Math.random() * icons.length)];
+    iconWrapper.appendChild(img);
+
+    const size = 30 + Math.random() * 40;
+    img.style.width = `${size}px`;
+    img.className = 'floating-icon';
+
+    iconWrapper.style.position = 'absolute';
+    iconWrapper.style.left = '0';
+    iconWrapper.style.top = '0';
+    iconWrapper.style.width = `${size}px`;
+    iconWrapper.style.height = `${size}px`;
+    iconWrapper.style.pointerEvents = 'none';
+
+    // Random Direction & Speed
+    const angle = Math.random() * Math.PI * 2;
+    const speed = 0.2 + Math.random() * 0.4; // Very gentle speed
+
+    let startX, startY;
+
+    if (initial) {
+        startX = Math.random() * (window.innerWidth - size);
+        startY = Math.random() * (window.innerHeight - size);
+    } else {
+        // Spawn from edges
+        if (Math.random() < 0.5) {
+            startX = Math.random() * window.innerWidth;
+            startY = Math.random() < 0.5 ? window.innerHeight + 50 : -50;
+        } else {
+            startX = Math.random() < 0.5 ? -50 : window.innerWidth + 50;
+            startY = Math.random() * window.innerHeight;
+        }
+    }
+
+    // CSS Animation class for internal sway (no translation)
+    const cssAnims = ['float-up', 'float-down', 'drift-left', 'drift-right'];
+    img.classList.add(cssAnims[Math.floor(Math.random() * cssAnims.length)]);
+    img.style.animationDuration = `${20 + Math.random() * 20}s`;
+
+    container.appendChild(iconWrapper);
+
+    floatingIcons.push({
+        element: iconWrapper,
+        x: startX,
+        y: startY,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        size: size
+    });
+
+    // Cleanup safety net (in case visual logic fails) - 2 mins
+    setTimeout(() => {
+        if (iconWrapper.parentNode) iconWrapper.remove();
+    }, 120000);
+}
+
+function setupMusicForDay() {
+    // Outside Valentine's Week the playlist starts with the default music
+    const dayIndex = currentDayIndex === undefined ? -1 : currentDayIndex;
+    const day = dayIndex >= 0 ? config.days[dayIndex] : null;
+    playlist = buildPlaylist(day);
+    if (!playlist.length) return;
+
+    // Days without their own song start somewhere random in the playlist
+    const hasOwnSong = !day || !!getTrackSrc(day.music);
+    const start = hasOwnSong ? 0 : Math.floor(Math.random() * playlist.length);
+
+    // Keep the current song going if it belongs to this playlist
+    const playingIndex = currentTrack ? playlist.findIndex(track => track.src === currentTrack.src) : -1;
+    if (playingIndex !== -1 && (!hasOwnSong || playingIndex === 0) && bgMusic.src.indexOf(currentTrack.src) !== -1) {
+        trackIndex = playingIndex;
+        updateTrackInfo();
+    } else {
+        playTrack(start);
+    }
+    cacheDayForOffline(dayIndex);
+}
+
+// Loads a track on an idle deck and crossfades to it once it can play
+function playAudioSafe(src, options = {}) {
+    const outgoing = getActiveDeck();
+    const direct = noCorsTracks.has(src);
+    // Two songs in a row on the direct deck cut instead of crossfading
+    const incoming = musicDecks.find(deck => deck !== outgoing && deck.direct === direct) || outgoing;
+    const fadeIn = typeof options.fadeIn === 'number' ? options.fadeIn : MUSIC_CROSSFADE_SECONDS;
+    const loadId = ++musicLoadId;
+
+    clearDeckHandlers(incoming);
+    setDeckFade(incoming, 0);
+    incoming.el.pause();
+    // Asking for CORS is what lets Web Audio hear a song from another site
+    if (!direct && isCrossOrigin(src)) incoming.el.crossOrigin = 'anonymous';
+    else incoming.el.removeAttribute('crossorigin');
+    incoming.el.src = src;
+    incoming.el.load();
+    bgMusic = incoming.el; // Controls and progress follow the new track straight away
+    updateProgress();
+
+    // Wait for audio to be ready to prevent race conditions on slow data
+    incoming.onReady = () => {
+        clearDeckHandlers(incoming);
+        if (loadId !== musicLoadId) return;
+        if (options.startAt > 0 && options.startAt < (incoming.el.duration || Infinity)) {
+            incoming.el.currentTime = options.startAt;
+        }
+
+        const wasPlaying = !outgoing.el.paused;
+        incoming.fadeInSeconds = fadeIn;
+        const playPromise = incoming.el.play();
+        if (playPromise !== undefined) {
+            playPromise
+                .then(() => {
+                    setMusicPlayingState(true);
+                    if (wasPlaying) fadeDeck(outgoing, 0, fadeIn, () => outgoing.el.pause());
+                })
+                .catch(e => {
+                    console.log("Playback deferred/blocked:", e);
+                    outgoing.el.pause();
+                    if (e.name === 'NotAllowedError') {
+                        // Show consent modal if blocked
+                        const modal = document.getElementById('musicConsentModal');
+                        if (modal) modal.classList.add('visible');
+                    }
+                });
+        }
+        if (!wasPlaying && outgoing !== incoming) outgoing.el.pause();
+    };
+    incoming.onError = () => {
+        clearDeckHandlers(incoming);
+        if (loadId !== musicLoadId) return;
+        if (incoming.el.crossOrigin) {
+            // Maybe the site just doesn't allow CORS - try once more on the direct deck
+            console.warn('⚠️ Retrying without CORS (no beat effects for this song):', src);
+            noCorsTracks.add(src);
+            bgMusic = outgoing.el;
+            playAudioSafe(src, options);
+            return;
+        }
+        console.warn("Audio source failed:", src);
+        failedTracks[src] = true;
+        playFallbackTrack();
+    };
+    incoming.el.addEventListener('canplaythrough', incoming.onReady);
+    incoming.el.addEventListener('error', incoming.onError);
+}
+
+function tryAutoPlayMusic() {
+    bgMusic.play().then(() => {
+        setMusicPlayingState(true);
+    }).catch(e => {
+        if (isPreview) return; // The editor's preview shouldn't nag about sound
+        console.log("Autoplay blocked by browser, waiting for user interaction");
+        const modal = document.getElementById('musicConsentModal');
+        const btn = document.getElementById('musicConsentBtn');
+
+        modal.classList.add('visible');
+
+        // Function to start music and hide modal
+        const startMusicAndHideModal = () => {
+            bgMusic.play().then(() => {
+                setMusicPlayingState(true);
+                modal.classList.remove('visible');
+                // Remove the document click listener after music starts
+                document.removeEventListener('click', startMusicAndHideModal);
+                document.removeEventListener('touchstart', startMusicAndHideModal);
+            }).catch(err => console.log("Still blocked:", err));
+        };
+
+        // Button click
+        btn.onclick = startMusicAndHideModal;
+
+        // Also start music on any click/touch anywhere on the page
+        document.addEventListener('click', startMusicAndHideModal, { once: true });
+        document.addEventListener('touchstart', startMusicAndHideModal, { once: true });
+    });
+}
+
+// ============ NAVIGATION ============
+// Free browsing in testing mode, past days only when allowPastDays is on, nothing otherwise
+function canBrowseDays() {
+    return !isDateLocked || allowPastDays;
+}
+
+function applyNavigationMode() {
+    const display = canBrowseDays();
+    prevBtn.style.display = display ? 'block' : 'none';
+    nextBtn.style.display = display ? 'block' : 'none';
+    dayIndicator.style.display = display ? 'flex' : 'none';
+}
+
+function setupNavigation() {
+    prevBtn.addEventListener('click', (e) => { e.stopPropagation(); navigate(-1); });
+    nextBtn.addEventListener('click', (e) => { e.stopPropagation(); navigate(1); });
+
+    document.addEventListener('keydown', (e) => {
+        // The arrows follow the page direction: in right-to-left layouts "back" is on the right
+        const back = isRtl() ? 'ArrowRight' : 'ArrowLeft';
+        if (e.key === back) navigate(-1);
+        else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') navigate(1);
+    });
+}
+
+function goToDay(index) {
+    if (!canBrowseDays() || index === currentDayIndex) return;
+    if (!isDayUnlocked(index)) {
+        showLockedTeaser(index);
+        return;
+    }
+
+    currentDayIndex = index;
+
+    // Kill all running animations
+    motion.globalTimeline.clear();
+
+    // Reset
+    populateDayContent(config.days[currentDayIndex]);
+    createFloatingBackground(); // re-init bg if needed (optional)
+    setupMusicForDay();
+    playTimeline();
+}
+
+function navigate(direction) {
+    if (!canBrowseDays()) return;
+
+    let newIndex = currentDayIndex + direction;
+    if (isDateLocked) {
+        // No wrapping around into the future - stop at the ends with a teaser
+        if (newIndex < 0 || newIndex >= config.days.length) {
+            showLockedTeaser(newIndex);
+            return;
+        }
+    } else {
+        if (newIndex < 0) newIndex = config.days.length - 1;
+        if (newIndex >= config.days.length) newIndex = 0;
+    }
+
+    goToDay(newIndex);
+}
+
+// Playful nudge when the recipient tries to peek at a day that's still locked
+let lockedTeaserTimer = null;
+
+function showLockedTeaser(index) {
+    const teaser = document.getElementById('lockedTeaser');
+    const day = config.days[index];
+    const entry = schedule.find(item => item.index === index);
+
+    let text = t('teaserStart');
+    if (index >= config.days.length) {
+        text = t('teaserEnd');
+    } else if (day && entry) {
+        text = t('teaserLocked', { title: day.title, date: formatScheduleDate(entry.start, 'long') });
+    } else if (day) {
+        text = t('teaserSecret', { title: day.title });
+    }
+
+    const target = index > currentDayIndex ? nextBtn : prevBtn;
+    const dot = dayIndicator.children[index];
+    if (!prefersReducedMotion()) {
+        motion.fromTo([target, dot].filter(Boolean), { x: 0 }, { x: 8, duration: 0.07, repeat: 5, yoyo: true, clearProps: 'transform' });
+    }
+
+    if (!teaser) return;
+    teaser.textContent = text;
+    teaser.classList.add('visible');
+    motion.fromTo(teaser, calmVars({ opacity: 0, y: 20, scale: 0.9 }), calmVars({ opacity: 1, y: 0, scale: 1, duration: 0.4, ease: 'back.out(1.7)' }));
+
+    if (lockedTeaserTimer) clearTimeout(lockedTeaserTimer);
+    lockedTeaserTimer = setTimeout(() => {
+        motion.to(teaser, calmVars({ opacity: 0, y: 10, duration: 0.4, onComplete: () => teaser.classList.remove('visible') }));
+    }, 2500);
+}
+
+// ============ PARALLAX ============
+function setupParallax() {
+    document.addEventListener('mousemove', (e) => {
+        const xAxis = (window.innerWidth / 2 - e.pageX) / 30;
+        const yAxis = (window.innerHeight / 2 - e.pageY) / 30;
+        mainCard.style.transform = `
+  perspective(1000px)
+  rotateY(${xAxis}deg)
+  rotateX(${yAxis}deg)
+  translateY(-5px)
+  scale(1.005)
+`;
+    });
+
+    document.addEventListener('mouseleave', () => {
+        mainCard.style.transform = 'perspective(1000px) rotateY(0) rotateX(0)';
+    });
+}
+
+// ============ MUSIC ============
+function toggleMusic() {
+    if (!bgMusic.paused) {
+        bgMusic.pause();
+    } else {
+        bgMusic.play().catch(e => console.log("Audio play failed:", e));
+    }
+}
+
+function updateProgress() {
+    if (isSeeking) return;
+    const progress = bgMusic.duration ? (bgMusic.currentTime / bgMusic.duration) * 100 : 0;
+    progressBar.style.width = `${progress}%`;
+    progressContainer.setAttribute('aria-valuenow', Math.round(progress));
+}
+
+// ============ PLAYLIST ============
+// Music entries can be a path or a track object: { src, title, artist }.
+// Each day plays its own song first, then carries on through config.musicList.
+const MUSIC_PREFS_KEY = 'valentineWeek.musicPrefs';
+const progressContainer = document.getElementById('progressContainer');
+let playlist = [];
+let trackIndex = 0;
+let currentTrack = null;
+let shuffleOn = false;
+let isSeeking = false;
+
+function getTrackSrc(entry) {
+    return entry && typeof entry === 'object' ? entry.src : entry;
+}
+
+// "assets/music/rose-day.mp3" -> "Rose Day", for tracks without a title
+function getTitleFromSrc(src) {
+    const file = decodeURIComponent(src.split('/').pop().split('?')[0]).replace(/\.[a-z0-9]+$/i, '');
+    return file.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase()).trim();
+}
+
+function normalizeTrack(entry) {
+    const src = getTrackSrc(entry);
+    if (!src || typeof src !== 'string') return null;
+    const track = typeof entry === 'object' ? entry : {};
+    return {
+        src,
+        title: track.title || getTitleFromSrc(src) || 'Valentine Vibes 💕',
+        artist: track.artist || 'Your Love Song',
+        lyrics: track.lyrics || null
+    };
+}
+
+function buildPlaylist(day) {
+    const first = day ? day.music : (config.defaultMusic || 'assets/music/default-bg.mp3');
+    const seen = {};
+    const tracks = [first].concat(config.musicList || [])
+        .map(normalizeTrack)
+        .filter(track => track && !seen[track.src] && (seen[track.src] = true));
+
+    // A day's own song can start part-way in (musicStart) and fade in slowly (musicFadeIn)
+    if (day && getTrackSrc(day.music) && tracks.length) {
+        tracks[0].startAt = parseMusicTime(day.musicStart);
+        if (typeof day.musicFadeIn === 'number') tracks[0].fadeIn = day.musicFadeIn;
+        if (day.lyrics) tracks[0].lyrics = day.lyrics;
+    }
+    return tracks;
+}
+
+// Seconds (42 or "42"), or "m:ss"
+function parseMusicTime(value) {
+    if (typeof value === 'number') return Math.max(value, 0);
+    const match = typeof value === 'string' && value.trim().match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+    return match ? (parseInt(match[1] || '0', 10) * 60) + parseFloat(match[2]) : 0;
+}
+
+function playTrack(index) {
+    if (!playlist.length) return;
+    trackIndex = (index + playlist.length) % playlist.length;
+    currentTrack = playlist[trackIndex];
+    updateTrackInfo();
+    playAudioSafe(currentTrack.src, { startAt: currentTrack.startAt, fadeIn: currentTrack.fadeIn });
+}
+
+function nextTrack() {
+    if (playlist.length < 2) {
+        bgMusic.currentTime = 0;
+        bgMusic.play().catch(e => console.log("Audio play failed:", e));
+        return;
+    }
+    if (shuffleOn) {
+        const others = playlist.map((track, i) => i).filter(i => i !== trackIndex);
+        playTrack(others[Math.floor(Math.random() * others.length)]);
+    } else {
+        playTrack(trackIndex + 1);
+    }
+}
+
+function previousTrack() {
+    // Like most players: the first press restarts the song
+    if (bgMusic.currentTime > 3 || playlist.length < 2) {
+        bgMusic.currentTime = 0;
+        return;
+    }
+    playTrack(trackIndex - 1);
+}
+
+function updateTrackInfo() {
+    if (!currentTrack) return;
+    document.getElementById('songTitle').textContent = currentTrack.title;
+    document.getElementById('songArtist').textContent = currentTrack.artist;
+    musicPlayer.title = `${currentTrack.title} - ${currentTrack.artist}`;
+
+    if ('mediaSession' in navigator && window.MediaMetadata) {
+        navigator.mediaSession.metadata = new MediaMetadata({ title: currentTrack.title, artist: currentTrack.artist });
+    }
+    loadLyrics(currentTrack);
+}
+
+function toggleShuffle() {
+    shuffleOn = !shuffleOn;
+    updateShuffleButton();
+    saveMusicPrefs();
+}
+
+function updateShuffleButton() {
+    const btn = document.getElementById('shuffleBtn');
+    btn.classList.toggle('on', shuffleOn);
+    btn.setAttribute('aria-pressed', shuffleOn);
+}
+
+// ============ LYRICS ============
+// A song can bring a caption track: `lyrics` on a day (for its own song) or on a track
+// object, pointing at an LRC or WebVTT file. The current line is shown above the player
+// and fills karaoke-style, following bgMusic.currentTime through seeks, pauses and replays.
+const lyricsCache = {};
+let lyricsCues = [];
+let lyricsOn = true;
+let lyricsFrame = null;
+let lyricsLoadId = 0;
+let shownCueIndex = -1;
+
+// "01:02.50", "1:02:03.500" or "02.5" -> seconds
+function parseCueTime(text) {
+    const parts = text.trim().replace(',', '.').split(':').map(Number);
+    if (parts.some(isNaN)) return NaN;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function parseLrc(text) {
+    const cues = [];
+    let offset = 0;
+    text.split(/\r?\n/).forEach(line => {
+        const offsetTag = line.match(/^\[offset:\s*([+-]?\d+)\]/i);
+        if (offsetTag) {
+            offset = parseInt(offsetTag[1], 10) / 1000; // Positive offsets show lyrics sooner
+            return;
+        }
+        const stamps = [];
+        let rest = line;
+        let match;
+        while ((match = rest.match(/^\[(\d+:\d+(?:[.:]\d+)?)\]/))) {
+            stamps.push(parseCueTime(match[1].replace(/^(\d+:\d+):(\d+)$/, '$1.$2'))); // mm:ss:xx -> mm:ss.xx
+            rest = rest.slice(match[0].length);
+        }
+        const words = rest.replace(/<\d+:\d+(?:\.\d+)?>/g, '').trim(); // Drop enhanced-LRC word stamps
+        stamps.filter(stamp => !isNaN(stamp)).forEach(start => cues.push({ start: Math.max(start - offset, 0), text: words }));
+    });
+
+    cues.sort((a, b) => a.start - b.start);
+    // Each line lasts until the next one (the last for up to 8 seconds)
+    cues.forEach((cue, i) => { cue.end = cues[i + 1] ? cues[i + 1].start : cue.start + 8; });
+    return cues.filter(cue => cue.text);
+}
+
+function parseVtt(text) {
+    const cues = [];
+    text.replace(/\r/g, '').split(/\n{2,}/).forEach(block => {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing === -1) return;
+        const [from, to] = lines[timing].split('-->');
+        const start = parseCueTime(from);
+        const end = parseCueTime(to.trim().split(/\s+/)[0]);
+        const words = lines.slice(timing + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+        if (!isNaN(start) && !isNaN(end) && words) cues.push({ start, end, text: words });
+    });
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+function parseLyrics(text, src) {
+    return /^\uFEFF?WEBVTT/.test(text) || /\.vtt($|\?)/i.test(src) ? parseVtt(text) : parseLrc(text);
+}
+
+function loadLyrics(track) {
+    const loadId = ++lyricsLoadId;
+    lyricsCues = [];
+    showLyricsLine(-1);
+    updateLyricsButton();
+    if (!track || !track.lyrics) return;
+
+    if (!lyricsCache[track.lyrics]) {
+        lyricsCache[track.lyrics] = fetch(track.lyrics)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.text();
+            })
+            .then(text => parseLyrics(text, track.lyrics))
+            .catch(e => {
+                console.warn(`⚠️ Could not load lyrics "${track.lyrics}"`, e);
+                delete lyricsCache[track.lyrics];
+                return [];
+            });
+    }
+    lyricsCache[track.lyrics].then(cues => {
+        if (loadId !== lyricsLoadId) return;
+        lyricsCues = cues;
+        updateLyricsButton();
+        syncLyrics();
+    });
+}
+
+function toggleLyrics() {
+    lyricsOn = !lyricsOn;
+    updateLyricsButton();
+    syncLyrics();
+    saveMusicPrefs();
+}
+
+function updateLyricsButton() {
+    const btn = document.getElementById('lyricsBtn');
+    btn.style.display = lyricsCues.length ? '' : 'none';
+    btn.classList.toggle('on', lyricsOn);
+    btn.setAttribute('aria-pressed', lyricsOn);
+}
+
+function showLyricsLine(index) {
+    const caption = document.getElementById('lyricsCaption');
+    shownCueIndex = index;
+    if (index === -1) {
+        caption.classList.remove('visible');
+        return;
+    }
+    caption.querySelector('.lyrics-line').textContent = lyricsCues[index].text;
+    caption.classList.add('visible');
+}
+
+// Finds the line for the current time and moves the karaoke fill along it
+function syncLyrics() {
+    if (!lyricsOn || !lyricsCues.length) {
+        if (shownCueIndex !== -1) showLyricsLine(-1);
+        return;
+    }
+    const time = bgMusic.currentTime;
+    const index = lyricsCues.findIndex(cue => time >= cue.start && time < cue.end);
+    if (index !== shownCueIndex) showLyricsLine(index);
+    if (index === -1) return;
+
+    const cue = lyricsCues[index];
+    const progress = Math.min((time - cue.start) / Math.max(cue.end - cue.start, 0.1), 1);
+    document.getElementById('lyricsCaption').style.setProperty('--lyrics-progress', `${(progress * 100).toFixed(1)}%`);
+}
+
+function startLyricsLoop() {
+    if (lyricsFrame) return;
+    const tick = () => {
+        syncLyrics();
+        lyricsFrame = bgMusic.paused ? null : requestAnimationFrame(tick);
+    };
+    lyricsFrame = requestAnimationFrame(tick);
+}
+
+// ============ VOLUME ============
+let musicVolume = 1;
+let musicMuted = false;
+
+function loadMusicPrefs() {
+    try {
+        return JSON.parse(localStorage.getItem(MUSIC_PREFS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveMusicPrefs() {
+    try {
+        localStorage.setItem(MUSIC_PREFS_KEY, JSON.stringify({ volume: musicVolume, muted: musicMuted, shuffle: shuffleOn, lyrics: lyricsOn }));
+    } catch (e) {
+        console.warn('⚠️ Could not save music settings', e);
+    }
+}
+
+function setVolume(volume) {
+    musicVolume = Math.min(Math.max(volume, 0), 1);
+    musicMuted = musicVolume === 0;
+    applyMusicLevel();
+    updateVolumeControls();
+    saveMusicPrefs();
+}
+
+function toggleMute() {
+    musicMuted = !musicMuted;
+    if (!musicMuted && musicVolume === 0) musicVolume = 0.5; // Unmuting a zeroed slider
+    applyMusicLevel();
+    updateVolumeControls();
+    saveMusicPrefs();
+}
+
+function updateVolumeControls() {
+    const level = musicMuted ? 0 : musicVolume;
+    const icon = level === 0 ? 'volume-xmark' : level < 0.5 ? 'volume-low' : 'volume-high';
+    const muteBtn = document.getElementById('muteBtn');
+    muteBtn.innerHTML = `<i class="fas fa-${icon}"></i>`;
+    muteBtn.setAttribute('aria-label', t(musicMuted ? 'unmute' : 'mute'));
+    document.getElementById('volumeSlider').value = level;
+}
+
+// ============ AUDIO ENGINE ============
+// Two decks (bgMusic and a twin) let day changes crossfade instead of cutting.
+// After the first tap or key press the decks are routed through Web Audio gain nodes
+// for smooth fades and ducking; until then (or without Web Audio, or on file:// where
+// the browser would silence the graph) the same fades are stepped on element volume.
+// Web Audio only hears songs from other sites that allow CORS, so the ones that don't
+// play on a third, direct deck that is never routed (and has no beat effects).
+const MUSIC_CROSSFADE_SECONDS = 2.5;
+const MUSIC_DUCK_LEVEL = 0.25; // Share of the volume kept while something else is talking
+const MUSIC_DUCK_SECONDS = 0.6;
+const musicDecks = [bgMusic, createMusicDeck('bgMusicTwin'), createMusicDeck('bgMusicDirect')]
+    .map((el, index) => ({ el, fade: 1, gain: null, fadeTimer: null, direct: index === 2 }));
+const musicDucks = new Set();
+const failedTracks = {};
+const noCorsTracks = new Set(); // Songs whose site refused a CORS request
+let audioEngine = null;
+let musicLoadId = 0;
+
+function createMusicDeck(id) {
+    const deck = document.createElement('audio');
+    deck.id = id;
+    deck.preload = 'auto';
+    bgMusic.parentNode.appendChild(deck);
+    return deck;
+}
+
+function isCrossOrigin(src) {
+    try {
+        return new URL(src, window.location.href).origin !== window.location.origin;
+    } catch (e) {
+        return false;
+    }
+}
+
+function getActiveDeck() {
+    return musicDecks.find(deck => deck.el === bgMusic);
+}
+
+function clearDeckHandlers(deck) {
+    if (deck.onReady) deck.el.removeEventListener('canplaythrough', deck.onReady);
+    if (deck.onError) deck.el.removeEventListener('error', deck.onError);
+    deck.onReady = deck.onError = null;
+}
+
+// Volume after the player's setting and any ducking
+function getMusicOutputLevel() {
+    if (musicMuted) return 0;
+    return musicVolume * (musicDucks.size ? MUSIC_DUCK_LEVEL : 1);
+}
+
+function applyMusicLevel(seconds = 0) {
+    musicDecks.filter(deck => !deck.gain).forEach(deck => { deck.el.volume = deck.fade * getMusicOutputLevel(); });
+    if (!audioEngine) return;
+    const now = audioEngine.ctx.currentTime;
+    const gain = audioEngine.master.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(getMusicOutputLevel(), now + Math.max(seconds, 0.02));
+}
+
+function setDeckFade(deck, level) {
+    clearInterval(deck.fadeTimer);
+    deck.fading = false;
+    deck.fade = level;
+    if (deck.gain) {
+        deck.gain.gain.cancelScheduledValues(audioEngine.ctx.currentTime);
+        deck.gain.gain.value = level;
+    } else {
+        deck.el.volume = level * getMusicOutputLevel();
+    }
+}
+
+function fadeDeck(deck, to, seconds, then) {
+    clearInterval(deck.fadeTimer);
+    const from = deck.fade;
+    deck.fade = to;
+    deck.fading = true;
+    const finish = () => {
+        deck.fading = false;
+        if (then) then();
+    };
+
+    if (deck.gain) {
+        const now = audioEngine.ctx.currentTime;
+        deck.gain.gain.cancelScheduledValues(now);
+        deck.gain.gain.setValueAtTime(deck.gain.gain.value, now);
+        deck.gain.gain.linearRampToValueAtTime(to, now + seconds);
+        deck.fadeTimer = setTimeout(finish, seconds * 1000);
+        return;
+    }
+
+    const started = Date.now();
+    deck.fadeTimer = setInterval(() => {
+        const progress = seconds > 0 ? Math.min((Date.now() - started) / (seconds * 1000), 1) : 1;
+        deck.el.volume = (from + (to - from) * progress) * getMusicOutputLevel();
+        if (progress === 1) {
+            clearInterval(deck.fadeTimer);
+            finish();
+        }
+    }, 50);
+}
+
+// Quiets the music while something else is talking: duckMusic('letter') ... releaseMusicDuck('letter')
+function duckMusic(reason) {
+    musicDucks.add(reason);
+    applyMusicLevel(MUSIC_DUCK_SECONDS);
+}
+
+function releaseMusicDuck(reason) {
+    if (!musicDucks.delete(reason)) return;
+    applyMusicLevel(MUSIC_DUCK_SECONDS * 2);
+}
+
+function startAudioEngine() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (audioEngine || !AudioContextClass || window.location.protocol === 'file:') return;
+
+    try {
+        const ctx = new AudioContextClass();
+        const master = ctx.createGain();
+        master.connect(ctx.destination);
+        // Listens before the volume and ducking so quiet playback still drives the effects
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = 1024;
+        analyser.smoothingTimeConstant = 0.5;
+        audioEngine = { ctx, master, analyser };
+
+        musicDecks.filter(deck => !deck.direct).forEach(deck => {
+            clearInterval(deck.fadeTimer);
+            deck.gain = ctx.createGain();
+            deck.gain.gain.value = deck.fade;
+            ctx.createMediaElementSource(deck.el).connect(deck.gain);
+            deck.gain.connect(master);
+            deck.gain.connect(analyser);
+            deck.el.volume = 1; // Levels live on the gain nodes from now on
+        });
+        master.gain.value = getMusicOutputLevel();
+        if (ctx.state === 'suspended') ctx.resume();
+        console.log('🎚️ Audio engine ready');
+    } catch (e) {
+        console.warn('⚠️ Web Audio unavailable, fading with element volume instead', e);
+        audioEngine = null;
+    }
+}
+
+// Next song that hasn't failed: the rest of the playlist, then the default music
+function playFallbackTrack() {
+    for (let step = 1; step < playlist.length; step++) {
+        const index = (trackIndex + step) % playlist.length;
+        if (!failedTracks[playlist[index].src]) {
+            playTrack(index);
+            return;
+        }
+    }
+
+    const fallback = normalizeTrack(config.defaultMusic || 'assets/music/default-bg.mp3');
+    if (fallback && !failedTracks[fallback.src]) {
+        currentTrack = fallback;
+        updateTrackInfo();
+        playAudioSafe(fallback.src);
+        return;
+    }
+    console.warn('⚠️ None of the music could be loaded');
+    setMusicPlayingState(false);
+}
+
+function setupAudioEngine() {
+    musicDecks.forEach(deck => {
+        // A deck that starts playing without a fade running (autoplay unblocked, play button) fades in
+        deck.el.addEventListener('play', () => {
+            if (deck.el === bgMusic && deck.fade < 1 && !deck.fading) fadeDeck(deck, 1, deck.fadeInSeconds || MUSIC_CROSSFADE_SECONDS);
+        });
     });
+
+    const unlock = () => {
+        startAudioEngine();
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => document.removeEventListener(type, unlock, true));
+    };
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => document.addEventListener(type, unlock, true));
+
+    // Songs that failed while offline get another chance
+    window.addEventListener('online', () => Object.keys(failedTracks).forEach(src => { delete failedTracks[src]; }));
 }
 
-function updateDay(index, animate = true) {
-    const day = config.days[index];
+// ============ PLAYER CONTROLS ============
+function setupMusicControls() {
+    const prefs = loadMusicPrefs();
+    if (typeof prefs.volume === 'number') musicVolume = Math.min(Math.max(prefs.volume, 0), 1);
+    musicMuted = !!prefs.muted;
+    shuffleOn = !!prefs.shuffle;
+    lyricsOn = prefs.lyrics !== false;
+    applyMusicLevel();
+    updateVolumeControls();
+    updateShuffleButton();
+
+    const controls = [
+        ['prevTrackBtn', previousTrack],
+        ['nextTrackBtn', nextTrack],
+        ['shuffleBtn', toggleShuffle],
+        ['muteBtn', toggleMute],
+        ['lyricsBtn', toggleLyrics]
+    ];
+    controls.forEach(([id, action]) => {
+        document.getElementById(id).addEventListener('click', (e) => { e.stopPropagation(); action(); });
+    });
 
-    if (animate) {
-        mainCard.style.animation = 'slideOut 0.3s ease forwards';
-        setTimeout(() => {
-            applyDayContent(day, index);
-            mainCard.style.animation = 'slideIn 0.5s ease forwards';
-            resetAnimations();
-            setTimeout(() => updateDebugInfo(), 100);
-        }, 300);
-    } else {
-        applyDayContent(day, index);
+    const slider = document.getElementById('volumeSlider');
+    slider.addEventListener('input', () => setVolume(parseFloat(slider.value)));
+    slider.addEventListener('click', (e) => e.stopPropagation());
+    slider.addEventListener('keydown', (e) => e.stopPropagation()); // Arrow keys adjust volume, not the day
+
+    // Touch screens can't hover, so tapping the song info opens the controls
+    document.getElementById('songInfo').addEventListener('click', (e) => {
+        if (e.target.closest('.player-controls')) return;
+        e.stopPropagation();
+        musicPlayer.classList.toggle('expanded');
+    });
+
+    setupSeeking();
+
+    if ('mediaSession' in navigator) {
+        try {
+            navigator.mediaSession.setActionHandler('nexttrack', nextTrack);
+            navigator.mediaSession.setActionHandler('previoustrack', previousTrack);
+        } catch (e) {
+            // Older browsers don't know these actions
+        }
     }
+}
 
-    updatePetals(day.petalSymbols);
+// Click or drag anywhere on the progress bar to jump there; arrow keys skip 5 seconds
+function setupSeeking() {
+    const seekTo = (e) => {
+        const rect = progressContainer.getBoundingClientRect();
+        const ratio = rect.width ? Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1) : 0;
+        progressBar.style.width = `${ratio * 100}%`;
+        if (isFinite(bgMusic.duration)) bgMusic.currentTime = ratio * bgMusic.duration;
+    };
+
+    progressContainer.addEventListener('pointerdown', (e) => {
+        e.stopPropagation();
+        isSeeking = true;
+        if (progressContainer.setPointerCapture) progressContainer.setPointerCapture(e.pointerId);
+        seekTo(e);
+    });
+    progressContainer.addEventListener('pointermove', (e) => {
+        if (isSeeking) seekTo(e);
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        progressContainer.addEventListener(type, () => {
+            isSeeking = false;
+            updateProgress();
+        });
+    });
+    progressContainer.addEventListener('click', (e) => e.stopPropagation());
+    progressContainer.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (isFinite(bgMusic.duration)) {
+            bgMusic.currentTime = Math.min(Math.max(bgMusic.currentTime + (e.key === 'ArrowRight' ? 5 : -5), 0), bgMusic.duration);
+        }
+    });
 }
 
-function applyDayContent(day, index) {
-    setCustomCursorForDay(index);
-    stopEffects();
-    setMusicPlayerTheme(day);
-    // Update CSS variables
-    document.documentElement.style.setProperty('--theme-color', day.themeColor);
-    document.body.style.background = `linear-gradient(135deg, ${day.bgStart} 0%, ${day.bgMid} 50%, ${day.bgEnd} 100%)`;
+// ============ EVENT LISTENERS ============
+function setupEventListeners() {
+    prevBtn.addEventListener('click', () => navigate(-1));
+    nextBtn.addEventListener('click', () => navigate(1));
+    playPauseBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleMusic(); });
+    bgMusic.addEventListener('timeupdate', updateProgress);
 
-    // Update new storytelling content
-    document.getElementById('dayNumber').textContent = day.dayNumber || `Day ${index + 1}`;
-    document.getElementById('daySubtitle').textContent = day.subtitle || '';
-    document.getElementById('dayMessage').textContent = day.message || '';
+    // Keyboard
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowLeft') navigate(-1);
+        if (e.key === 'ArrowRight') navigate(1);
+        if (e.key === ' ') { e.preventDefault(); toggleMusic(); }
+    });
 
-    // Update content
-    dayBadge.textContent = `${day.date} • ${day.title}`;
-    quoteText.innerHTML = day.quote;
-    recipientName.textContent = `— ${config.recipientName}`;
-    footerText.textContent = `Happy ${day.title} • ${day.date}, 2026`;
+    // Confetti on click
+    document.body.addEventListener('click', (e) => {
+        for (let i = 0; i < 5; i++) createConfetti(e.clientX, e.clientY);
+    });
+}
 
-    // Update icons (use multiple if available)
-    const icons = day.icons || [day.icon, day.icon, day.icon];
-    iconDisplay.innerHTML = `
-<div class="main-icon left">${icons[0]}</div>
-<div class="main-icon center">${icons[1] || icons[0]}</div>
-<div class="main-icon right">${icons[2] || icons[0]}</div>
+function createConfetti(x, y) {
+    if (prefersReducedMotion()) return;
+    const symbols = getEffectSymbols();
+    const confetti = document.createElement('div');
+    confetti.style.cssText = `
+position: fixed; left: ${x}px; top: ${y}px;
+font-size: 1.5rem; z-index: 9999; pointer-events: none;
 `;
+    confetti.innerHTML = symbols[Math.floor(Math.random() * symbols.length)];
+    document.body.appendChild(confetti);
 
-    // Stage 4: Memories - Dynamic Injection (for debug/day navigation too)
-    const stage4 = document.getElementById('stage4');
-    if (stage4 && day.memories) {
-        stage4.innerHTML = day.memories.map((text, i) =>
-            `<p class="idea idea-${i + 1}">${text}</p>`
-        ).join('');
+    const animation = confetti.animate([
+        { transform: `translate(0, 0) rotate(0deg) scale(1)`, opacity: 1 },
+        { transform: `translate(${Math.random() * 100 - 50}px, -150px) rotate(${Math.random() * 360}deg) scale(0)`, opacity: 0 }
+    ], { duration: 1500, easing: 'cubic-bezier(0.215, 0.610, 0.355, 1)' });
+
+    animation.onfinish = () => confetti.remove();
+}
+
+// ============ VALENTINE'S DAY SPECIAL EFFECTS ============
+function createFireworks() {
+    if (prefersReducedMotion()) return;
+    const colors = ['#ff0040', '#ff69b4', '#ff1493', '#ff6b6b', '#ffd700', '#ff4500'];
+    const container = document.body;
+
+    for (let burst = 0; burst < 5; burst++) {
+        setTimeout(() => {
+            const x = 100 + Math.random() * (window.innerWidth - 200);
+            const y = 100 + Math.random() * (window.innerHeight / 2);
+
+            // Create burst of particles
+            for (let i = 0; i < 20; i++) {
+                const particle = document.createElement('div');
+                const color = colors[Math.floor(Math.random() * colors.length)];
+                const angle = (i / 20) * Math.PI * 2;
+                const velocity = 50 + Math.random() * 100;
+                const endX = Math.cos(angle) * velocity;
+                const endY = Math.sin(angle) * velocity;
+
+                particle.style.cssText = `
+                    position: fixed;
+                    left: ${x}px;
+                    top: ${y}px;
+                    width: 8px;
+                    height: 8px;
+                    background: ${color};
+                    border-radius: 50%;
+                    z-index: 10000;
+                    pointer-events: none;
+                    box-shadow: 0 0 10px ${color}, 0 0 20px ${color};
+                `;
+                container.appendChild(particle);
+
+                particle.animate([
+                    { transform: 'translate(0, 0) scale(1)', opacity: 1 },
+                    { transform: `translate(${endX}px, ${endY + 50}px) scale(0)`, opacity: 0 }
+                ], { duration: 1000 + Math.random() * 500, easing: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)' })
+                    .onfinish = () => particle.remove();
+            }
+        }, burst * 400);
+    }
+}
+
+function createHeartsRain() {
+    if (prefersReducedMotion()) return;
+    const hearts = ['❤️', '💕', '💖', '💗', '💝', '💘', '🌹'];
+    const container = document.body;
+
+    for (let i = 0; i < 30; i++) {
+        setTimeout(() => {
+            const heart = document.createElement('div');
+            heart.innerHTML = hearts[Math.floor(Math.random() * hearts.length)];
+            heart.style.cssText = `
+                position: fixed;
+                left: ${Math.random() * 100}%;
+                top: -50px;
+                font-size: ${1 + Math.random() * 1.5}rem;
+                z-index: 9998;
+                pointer-events: none;
+                opacity: 0.8;
+            `;
+            container.appendChild(heart);
+
+            heart.animate([
+                { transform: 'translateY(0) rotate(0deg)', opacity: 0.8 },
+                { transform: `translateY(${window.innerHeight + 100}px) rotate(${Math.random() * 360}deg)`, opacity: 0 }
+            ], { duration: 4000 + Math.random() * 3000, easing: 'linear' })
+                .onfinish = () => heart.remove();
+        }, i * 100);
+    }
+}
+
+// ============ RESPONSE LOG ============
+// Records what the recipient did (answers, dodged "No" buttons, days opened) with timestamps.
+// Events are kept in localStorage, can be exported as JSON, and are POSTed to
+// config.responseEndpoint when set. Anything that can't be delivered waits in an outbox
+// and is retried with backoff, or as soon as the browser comes back online.
+const RESPONSE_LOG_KEY = 'valentineWeek.responses';
+const RESPONSE_OUTBOX_KEY = 'valentineWeek.responseOutbox';
+const RESPONSE_LOG_LIMIT = 500;
+const RESPONSE_RETRY_MIN = 5 * 1000;
+const RESPONSE_RETRY_MAX = 10 * 60 * 1000;
+let responseRetryTimer = null;
+let responseRetryDelay = RESPONSE_RETRY_MIN;
+let responseFlushInFlight = false;
+
+function readStoredList(key) {
+    try {
+        const list = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function writeStoredList(key, list) {
+    try {
+        localStorage.setItem(key, JSON.stringify(list.slice(-RESPONSE_LOG_LIMIT)));
+    } catch (e) {
+        console.warn('⚠️ Could not save responses on this device:', e);
+    }
+}
+
+function getResponseSessionId() {
+    try {
+        let sessionId = sessionStorage.getItem('valentineWeek.session');
+        if (!sessionId) {
+            sessionId = Math.random().toString(36).slice(2, 10);
+            sessionStorage.setItem('valentineWeek.session', sessionId);
+        }
+        return sessionId;
+    } catch (e) {
+        return null;
+    }
+}
+
+function recordResponse(type, data = {}) {
+    if (isPreview) return;
+    const day = config.days[currentDayIndex];
+    const event = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        at: new Date().toISOString(),
+        day: day ? day.title : null,
+        dayIndex: currentDayIndex,
+        session: getResponseSessionId(),
+        data
+    };
+    if (debugDate) event.debugDate = debugDate; // Lets the sender filter out test runs
+
+    const log = readStoredList(RESPONSE_LOG_KEY);
+    log.push(event);
+    writeStoredList(RESPONSE_LOG_KEY, log);
+
+    if (config.responseEndpoint) {
+        const outbox = readStoredList(RESPONSE_OUTBOX_KEY);
+        outbox.push(event);
+        writeStoredList(RESPONSE_OUTBOX_KEY, outbox);
+        flushResponseOutbox();
+    }
+    return event;
+}
+
+function getResponses() {
+    return readStoredList(RESPONSE_LOG_KEY);
+}
+
+function flushResponseOutbox() {
+    if (!config.responseEndpoint || responseFlushInFlight) return;
+    const outbox = readStoredList(RESPONSE_OUTBOX_KEY);
+    if (!outbox.length || navigator.onLine === false) return; // The 'online' listener picks it up
+
+    if (responseRetryTimer) {
+        clearTimeout(responseRetryTimer);
+        responseRetryTimer = null;
     }
+    responseFlushInFlight = true;
+
+    fetch(config.responseEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ recipient: config.recipientName, events: outbox }),
+        keepalive: true
+    })
+        .then(res => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const sent = new Set(outbox.map(event => event.id));
+            writeStoredList(RESPONSE_OUTBOX_KEY, readStoredList(RESPONSE_OUTBOX_KEY).filter(event => !sent.has(event.id)));
+            responseRetryDelay = RESPONSE_RETRY_MIN;
+            responseFlushInFlight = false;
+            if (isRepliesOpen()) renderReplyThread(); // Delivered replies get their second tick
+            flushResponseOutbox(); // Send anything recorded while this request was in flight
+        })
+        .catch(err => {
+            responseFlushInFlight = false;
+            console.log(`📮 Responses not delivered (${err.message}), retrying in ${Math.round(responseRetryDelay / 1000)}s`);
+            responseRetryTimer = setTimeout(flushResponseOutbox, responseRetryDelay);
+            responseRetryDelay = Math.min(responseRetryDelay * 2, RESPONSE_RETRY_MAX);
+        });
+}
+
+function startResponseSync() {
+    if (!config.responseEndpoint) return;
+    window.addEventListener('online', flushResponseOutbox);
+    flushResponseOutbox();
+}
+
+// Downloads everything recorded on this device as a JSON file
+function exportResponses() {
+    const payload = {
+        exportedAt: new Date().toISOString(),
+        recipient: config.recipientName,
+        events: getResponses()
+    };
+    downloadFile('valentine-week-responses.json', JSON.stringify(payload, null, 2), 'application/json');
+}
+
+function downloadFile(name, text, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ============ REPLIES ============
+// With config.allowReplies the end screen gets a WhatsApp-style "Reply to me" chat.
+// Each reply is recorded as a 'reply' response (so it's exported and sent to
+// config.responseEndpoint with everything else) and also kept in a list of its own,
+// so the week's conversation isn't trimmed away with old response events.
+const REPLY_LOG_KEY = 'valentineWeek.replies';
+let focusBeforeReplies = null;
+
+// Not in the editor preview - nothing sent there is kept
+function canReply() {
+    return config.allowReplies === true && !isPreview;
+}
+
+function getReplies() {
+    return readStoredList(REPLY_LOG_KEY);
+}
+
+function sendReply(text) {
+    const message = text.trim();
+    if (!message) return null;
+    const event = recordResponse('reply', { text: message });
+    if (!event) return null;
+    const replies = getReplies();
+    replies.push(event);
+    writeStoredList(REPLY_LOG_KEY, replies);
+    console.log(`💬 Reply saved for ${event.day}`);
+    return event;
+}
+
+// The day's chat bubble, as the chat stage sends it
+function getChatMessage(day) {
+    return getStageOptions(day, 'chat').message || t('chatMessage', { title: day.title, icon: day.icon });
+}
+
+// Replies in week order, one group per day (the open day is always there to reply to)
+function groupRepliesByDay() {
+    const groups = new Map();
+    if (config.days[currentDayIndex]) groups.set(currentDayIndex, []);
+    getReplies().forEach(reply => {
+        const index = config.days[reply.dayIndex] ? reply.dayIndex : -1;
+        if (!groups.has(index)) groups.set(index, []);
+        groups.get(index).push(reply);
+    });
+    return [...groups.keys()].sort((a, b) => a - b).map(index => ({ index, day: config.days[index], replies: groups.get(index) }));
+}
+
+function formatReplyTime(at) {
+    return new Intl.DateTimeFormat(currentLocale, { hour: 'numeric', minute: '2-digit' }).format(new Date(at));
+}
+
+function renderReplyThread() {
+    const thread = document.getElementById('replyThread');
+    const undelivered = new Set(readStoredList(RESPONSE_OUTBOX_KEY).map(event => event.id));
+    thread.innerHTML = '';
+
+    const add = (className, text) => {
+        const el = document.createElement('div');
+        el.className = className;
+        el.textContent = text;
+        thread.appendChild(el);
+        return el;
+    };
+
+    groupRepliesByDay().forEach(({ index, day, replies }) => {
+        if (day) {
+            add('reply-day', `${formatDayDate(index)} • ${day.title}`);
+            add('reply-bubble incoming', '').innerHTML = getChatMessage(day);
+        }
+        replies.forEach(reply => {
+            const bubble = add('reply-bubble outgoing', reply.data.text);
+            const meta = document.createElement('span');
+            meta.className = 'reply-meta';
+            // ✓ kept on this device, ✓✓ delivered to responseEndpoint
+            const delivered = config.responseEndpoint && !undelivered.has(reply.id);
+            meta.innerHTML = `${formatReplyTime(reply.at)} <span class="reply-ticks${delivered ? ' delivered' : ''}">${delivered ? '✓✓' : '✓'}</span>`;
+            bubble.appendChild(meta);
+        });
+    });
+
+    if (!thread.children.length) add('reply-empty', t('replyEmpty'));
+    thread.scrollTop = thread.scrollHeight;
+}
+
+function isRepliesOpen() {
+    return document.getElementById('replyChat').classList.contains('visible');
+}
+
+function openReplies() {
+    const panel = document.getElementById('replyChat');
+    const composing = Boolean(config.days[currentDayIndex]); // The recap shows the history only
+    document.getElementById('replyForm').style.display = composing ? '' : 'none';
+    document.getElementById('replyChatName').textContent = config.senderName || t('replyTitle');
+    renderReplyThread();
+
+    focusBeforeReplies = document.activeElement;
+    panel.classList.add('visible');
+    document.body.classList.add('modal-open');
+    focusElement(document.getElementById(composing ? 'replyInput' : 'replyCloseBtn'));
+}
+
+function closeReplies() {
+    document.getElementById('replyChat').classList.remove('visible');
+    document.body.classList.remove('modal-open');
+    focusElement(focusBeforeReplies);
+    focusBeforeReplies = null;
+}
+
+// Downloads the conversation as plain text, like WhatsApp's "Export chat"
+function exportReplies() {
+    const scratch = document.createElement('div');
+    const lines = [];
+    groupRepliesByDay().forEach(({ index, day, replies }) => {
+        if (!replies.length) return;
+        if (day) {
+            scratch.innerHTML = getChatMessage(day);
+            lines.push(`--- ${day.title} (${formatDayDate(index)}) ---`);
+            lines.push(`${config.senderName || t('replyTitle')}: ${scratch.textContent}`);
+        }
+        replies.forEach(reply => {
+            lines.push(`[${new Date(reply.at).toLocaleString(currentLocale)}] ${config.recipientName}: ${reply.data.text}`);
+        });
+        lines.push('');
+    });
+    downloadFile('valentine-week-chat.txt', lines.join('\n'), 'text/plain');
+}
 
-    // Update dots
-    document.querySelectorAll('.day-dot').forEach((dot, i) => {
-        dot.classList.toggle('active', i === index);
+function setupReplies() {
+    const panel = document.getElementById('replyChat');
+    const openBtn = document.getElementById('replyOpenBtn');
+    if (!panel || !openBtn || !canReply()) return;
+
+    const form = document.getElementById('replyForm');
+    const input = document.getElementById('replyInput');
+    input.placeholder = t('replyPlaceholder');
+    input.setAttribute('aria-label', t('replyPlaceholder'));
+    document.getElementById('replySendBtn').setAttribute('aria-label', t('replySend'));
+    document.getElementById('replyExportBtn').setAttribute('aria-label', t('replyExport'));
+    document.getElementById('replyCloseBtn').setAttribute('aria-label', t('replyClose'));
+    openBtn.style.display = 'inline-block';
+
+    openBtn.addEventListener('click', (e) => { e.stopPropagation(); openReplies(); });
+    document.getElementById('replyExportBtn').addEventListener('click', exportReplies);
+    document.getElementById('replyCloseBtn').addEventListener('click', closeReplies);
+    panel.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.target === panel) closeReplies(); // Tapped outside the chat
     });
 
-    currentDayIndex = index;
-}
+    // Typing shouldn't steer the story or change the day
+    panel.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') closeReplies();
+        // Enter sends on a keyboard; on a phone it's a new line, like WhatsApp
+        if (e.key === 'Enter' && !e.shiftKey && e.target === input && !window.matchMedia('(hover: none)').matches) {
+            e.preventDefault();
+            submitReply();
+        }
+    });
 
-function resetAnimations() {
-    document.querySelectorAll('.main-icon').forEach((el, i) => {
-        el.style.animation = 'none';
-        el.offsetHeight; // Trigger reflow
-        el.style.animation = `roseBloom 2s ease forwards ${0.5 + i * 0.3}s`;
+    const submitReply = () => {
+        if (!sendReply(input.value)) return;
+        input.value = '';
+        renderReplyThread();
+        focusElement(input);
+    };
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitReply();
     });
+}
 
-    const subtitle = document.getElementById('daySubtitle');
-    subtitle.style.animation = 'none';
-    subtitle.offsetHeight;
-    subtitle.style.animation = 'fadeIn 1.5s ease 0.3s forwards';
+// ============ LOVE LETTER CONTROL ============
+function openLoveLetter(dayIndex = currentDayIndex) {
+    const modal = document.getElementById('letterModal');
+    const letterText = document.getElementById('letterText');
+    const day = config.days[dayIndex];
 
-    quoteText.style.animation = 'none';
-    quoteText.offsetHeight;
-    quoteText.style.animation = 'fadeUp 2.5s cubic-bezier(0.19, 1, 0.22, 1) forwards';
+    if (day && day.letter) {
+        recordResponse('letter_opened', { letterDay: day.title });
+        letterText.innerHTML = day.letter;
+        duckMusic('letter');
+        focusBeforeLetter = document.activeElement;
+        modal.style.display = 'flex';
+        document.body.classList.add('modal-open');
+        // Small delay to allow display flex to apply before opacity transition
+        setTimeout(() => {
+            modal.classList.add('visible');
+            focusElement(modal.querySelector('.letter-close'));
+        }, 10);
 
-    recipientName.style.animation = 'none';
-    recipientName.offsetHeight;
-    recipientName.style.animation = 'nameGlow 3s cubic-bezier(0.175, 0.885, 0.32, 1.275) forwards 2.5s';
+        // Play soft sound if available? maybe not to conflict with music
+    }
+}
 
-    const message = document.getElementById('dayMessage');
-    message.style.animation = 'none';
-    message.offsetHeight;
-    message.style.animation = 'fadeUp 1.5s ease 3s forwards';
+function closeLoveLetter() {
+    const modal = document.getElementById('letterModal');
+    releaseMusicDuck('letter');
+    modal.classList.remove('visible');
+    document.body.classList.remove('modal-open');
+    focusElement(focusBeforeLetter);
+    focusBeforeLetter = null;
+    setTimeout(() => {
+        modal.style.display = 'none';
+    }, 500);
+}
 
-    footerText.style.animation = 'none';
-    footerText.offsetHeight;
-    footerText.style.animation = 'fadeIn 2s ease 3.5s forwards';
+// ============ OFFLINE ============
+// sw.js keeps the page, scripts, styles, icons and vendored libraries and fonts for visits without a network.
+// Songs are too big to store all at once, so the page says what it needs: the open day's song,
+// lyrics and voice notes right away, and the neighbouring days' when the connection allows.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    const packSource = getContentPackSource();
+    if (packSource && packSource.type === 'preview') return; // The editor's preview changes with every keystroke
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('📶 Offline support ready'))
+        .catch(error => console.warn('⚠️ Offline support unavailable:', error));
 }
 
+function getDayMedia(day) {
+    const chatVoice = (options) => options && options.chat && options.chat.voice;
+    return [getTrackSrc(day.music), day.lyrics, chatVoice(day.stageOptions), chatVoice(config.stageOptions)]
+        .concat((day.memories || []).map(getMemoryVoice));
+}
 
-// ============ BACKGROUND ANIMATION ============
-// ============ BACKGROUND ANIMATION (PHYSICS SYSTEM) ============
-const floatingIcons = [];
-const PHYSICS_BOUNDS = { margin: -100 }; // Allow icons to go off-screen before removal
+// Save-Data or a 2G connection: don't spend their data on days they haven't opened
+function isConnectionLean() {
+    const connection = navigator.connection;
+    return !!(connection && (connection.saveData || /2g$/.test(connection.effectiveType || '')));
+}
 
-function createFloatingBackground() {
-    const container = document.getElementById('background-animation');
-    let icons = config.floatingIcons || [
-        'assets/svgs/heart.svg',
-        'assets/svgs/balloon.svg',
-        'assets/svgs/happy.svg'
-    ];
+function cacheDayForOffline(index) {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    const day = config.days[index];
+    const now = (day ? getDayMedia(day) : []).concat(currentTrack ? [currentTrack.src, currentTrack.lyrics] : []);
+    const nearby = day && !isConnectionLean()
+        ? [index - 1, index + 1].filter(i => config.days[i]).map(i => getDayMedia(config.days[i]))
+        : [];
+
+    navigator.serviceWorker.ready.then(registration => {
+        if (!registration.active) return;
+        registration.active.postMessage({ type: 'cache', urls: now });
+        if (nearby.length) registration.active.postMessage({ type: 'prefetch', urls: [].concat(...nearby) });
+    });
+}
 
-    // Use day-specific floating icons if defined
-    if (currentDayIndex >= 0 && config.days[currentDayIndex] && config.days[currentDayIndex].floatingIcons) {
-        icons = config.days[currentDayIndex].floatingIcons;
-    } else if (currentDayIndex >= 0) {
-        // Filter out sakura for generic days if not overridden
-        icons = icons.filter(icon =>
-            !icon.includes('cherry-blossom') &&
-            !icon.includes('sakura-petal') &&
-            !icon.includes('sakura-branch')
-        );
-    }
+// ============ SECURITY (Disable right-click and text selection in production) ============
+// This only slows down casual copying - sealing the days (below) keeps them from anyone without the link
+if (isDateLocked) {
+    // Disable right-click
+    document.addEventListener('contextmenu', (e) => e.preventDefault());
 
-    // Initial spawns using physics
-    for (let i = 0; i < 20; i++) {
-        spawnFloatingIcon(container, icons, true);
-    }
+    // Disable text selection
+    document.body.style.userSelect = 'none';
+    document.body.style.webkitUserSelect = 'none';
+}
 
-    // Continuous spawning
-    setInterval(() => {
-        if (document.visibilityState === 'visible' && floatingIcons.length < 40) {
-            spawnFloatingIcon(container, icons);
-        }
-    }, 2000);
+// ============ ENTRY GATE ============
+// An optional question only the recipient can answer (config.gate), asked before init()
+// shows any names, days or music. Answers match loosely - case, accents, punctuation,
+// leading "the"/"at the" and small typos don't matter. Passing lasts the session, or for good on
+// this device with "Remember this device".
+const GATE_STORAGE_KEY = 'valentineWeek.gate';
+const GATE_LEADING_WORDS = /^(?:(?:the|a|an|at|in|on)\s+)+/; // "at the park" and "the park" both become "park"
+
+function getGate() {
+    const gate = config.gate;
+    if (!gate || !gate.question || !Array.isArray(gate.answers)) return null;
+    return gate.answers.some(answer => normalizeAnswer(answer)) ? gate : null;
+}
 
-    // Start Physics Loop
-    requestAnimationFrame(physicsLoop);
+// Changing the question asks again, even on a remembered device
+function getGateToken(gate) {
+    return `${config.recipientName}|${gate.question}`;
 }
 
-function physicsLoop() {
-    floatingIcons.forEach((iconData, index) => {
-        // Update Position
-        iconData.x += iconData.vx;
-        iconData.y += iconData.vy;
+function isGatePassed(gate) {
+    const token = getGateToken(gate);
+    try {
+        return localStorage.getItem(GATE_STORAGE_KEY) === token || sessionStorage.getItem(GATE_STORAGE_KEY) === token;
+    } catch (e) {
+        return false; // Storage blocked (private mode) - ask every time
+    }
+}
 
-        // Wall Collisions (Bounce)
-        if (iconData.x <= 0 || iconData.x + iconData.size >= window.innerWidth) {
-            iconData.vx *= -1;
-            iconData.x = Math.max(0, Math.min(iconData.x, window.innerWidth - iconData.size));
-        }
+function rememberGate(gate, onDevice) {
+    try {
+        (onDevice ? localStorage : sessionStorage).setItem(GATE_STORAGE_KEY, getGateToken(gate));
+    } catch (e) {
+        // Nothing to do - they'll be asked again next time
+    }
+}
 
-        // Remove if off-screen vertically (with buffer)
-        if (iconData.y < PHYSICS_BOUNDS.margin || iconData.y > window.innerHeight - PHYSICS_BOUNDS.margin) {
-            iconData.element.remove();
-            floatingIcons.splice(index, 1);
-            return;
-        }
+function normalizeAnswer(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // café -> cafe
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(GATE_LEADING_WORDS, '');
+}
 
-        // Object Collisions (Bounce off each other)
-        for (let j = index + 1; j < floatingIcons.length; j++) {
-            const other = floatingIcons[j];
-            const dx = iconData.x - other.x;
-            const dy = iconData.y - other.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const minDistance = (iconData.size + other.size) * 0.8; // Collision distance
+// 'right', 'close' (worth a "check the spelling") or 'wrong'
+function checkGateAnswer(input, answers) {
+    const given = normalizeAnswer(input);
+    if (!given) return 'wrong';
+
+    let close = false;
+    const right = answers.map(normalizeAnswer).filter(Boolean).some(answer => {
+        // Longer answers may sit inside a sentence: "at the old college library"
+        const words = given.split(' ').length - answer.split(' ').length;
+        if (given === answer || (answer.length >= 4 && words <= 3 && ` ${given} `.includes(` ${answer} `))) return true;
+
+        const allowed = answer.length < 4 ? 0 : Math.ceil(answer.length / 6);
+        const distance = editDistance(given, answer);
+        if (distance <= allowed + 2) close = true;
+        return distance <= allowed;
+    });
+    return right ? 'right' : (close ? 'close' : 'wrong');
+}
 
-            if (distance < minDistance) {
-                // Elastic collision
-                [iconData.vx, other.vx] = [other.vx, iconData.vx];
-                [iconData.vy, other.vy] = [other.vy, iconData.vy];
+function getGateHint(gate, result, attempts) {
+    if (result === 'close') return t('gateClose');
+    const hints = Array.isArray(gate.hints) ? gate.hints.filter(Boolean) : [];
+    return hints.length ? hints[(attempts - 1) % hints.length] : t('gateWrong');
+}
 
-                // Push apart to prevent overlap
-                const angle = Math.atan2(dy, dx);
-                const push = 1;
-                iconData.x += Math.cos(angle) * push;
-                iconData.y += Math.sin(angle) * push;
-                other.x -= Math.cos(angle) * push;
-                other.y -= Math.sin(angle) * push;
+// Resolves once the right answer is in (straight away without a gate)
+function passEntryGate() {
+    const gate = getGate();
+    const overlay = document.getElementById('entryGate');
+    if (!gate || !overlay || isPreview || isGatePassed(gate)) return Promise.resolve();
+
+    const form = document.getElementById('gateForm');
+    const input = document.getElementById('gateAnswer');
+    const hint = document.getElementById('gateHint');
+    const remember = document.getElementById('gateRemember');
+    document.getElementById('gateKicker').textContent = t('gateKicker');
+    document.getElementById('gateQuestion').textContent = gate.question;
+    document.getElementById('gateSubmit').textContent = t('gateSubmit');
+    document.getElementById('gateRememberLabel').textContent = t('gateRemember');
+    input.placeholder = t('gatePlaceholder');
+    remember.parentElement.style.display = gate.remember === false ? 'none' : '';
+    overlay.classList.add('visible');
+    focusElement(input);
+
+    let attempts = 0;
+    return new Promise(resolve => {
+        form.addEventListener('submit', function onSubmit(e) {
+            e.preventDefault();
+            const result = checkGateAnswer(input.value, gate.answers);
+            if (result !== 'right') {
+                attempts++;
+                hint.textContent = getGateHint(gate, result, attempts);
+                input.select();
+                if (!prefersReducedMotion()) {
+                    motion.fromTo('.gate-card', { x: 0 }, { x: 8, duration: 0.07, repeat: 5, yoyo: true, clearProps: 'transform' });
+                }
+                return;
             }
-        }
 
-        // Apply to DOM
-        iconData.element.style.transform = `translate(${iconData.x}px, ${iconData.y}px)`;
+            form.removeEventListener('submit', onSubmit);
+            rememberGate(gate, gate.remember !== false && remember.checked);
+            hint.textContent = t('gateRight');
+            console.log('🔐 Entry gate passed');
+            motion.to(overlay, {
+                opacity: 0, duration: 0.6, onComplete: () => {
+                    overlay.classList.remove('visible');
+                    overlay.style.opacity = '';
+                }
+            });
+            resolve();
+        });
     });
+}
 
-    requestAnimationFrame(physicsLoop);
+// ============ SEALED DAYS ============
+// tools/seal-config.js encrypts each day's words (SEALED_FIELDS) into `sealed`, so config.js
+// holds nothing readable. A day's key is derived from the sender's secret and the day's unlock
+// date, and is only worked out once the schedule has opened that day. The secret travels in
+// the link's fragment (#key=...), which never reaches the server or link previews, and is
+// remembered on the device for visits from the home screen. Sealing only protects against
+// people without the link: whoever has it can derive every day's key early.
+const SEALED_FIELDS = ['subtitle', 'quote', 'message', 'memories', 'letter', 'stageOptions'];
+const SEAL_ITERATIONS = 100000; // Must match tools/seal-config.js
+const SEAL_KEY_STORAGE = 'valentineWeek.sealKey';
+const unsealing = new Map(); // Day index -> pending unseal, so overlapping calls share the work
+const unsealFailed = new Set(); // The key won't change until a reload, so these aren't tried again
+let sealSecret;
+
+function getSealSecret() {
+    const fromLink = new URLSearchParams(window.location.hash.slice(1)).get('key');
+    try {
+        if (fromLink) localStorage.setItem(SEAL_KEY_STORAGE, fromLink);
+        return fromLink || localStorage.getItem(SEAL_KEY_STORAGE);
+    } catch (e) {
+        return fromLink; // Storage blocked (private mode)
+    }
 }
 
-function spawnFloatingIcon(container, icons, initial = false) {
-    const iconWrapper = document.createElement('div');
-    const img = document.createElement('img');
-    img.src = icons[Math.floor(Math.random() * icons.length)];
-    iconWrapper.appendChild(img);
+function deriveDayKey(secret, dateKey) {
+    const encoder = new TextEncoder();
+    return crypto.subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveKey'])
+        .then(base => crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`valentineWeek:${dateKey}`), iterations: SEAL_ITERATIONS },
+            base,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['decrypt']
+        ));
+}
 
-    const size = 30 + Math.random() * 40;
-    img.style.width = `${size}px`;
-    img.className = 'floating-icon';
+// `sealed` is "<iv>.<ciphertext>", both base64url
+function unsealDay(entry) {
+    const day = config.days[entry.index];
+    const [iv, data] = String(day.sealed).split('.');
+    return deriveDayKey(sealSecret, entry.dateKey)
+        .then(key => crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(iv) }, key, base64UrlToBytes(data || '')))
+        .then(plain => {
+            const fields = JSON.parse(new TextDecoder().decode(plain));
+            const problems = [];
+            checkAgainstSchema(fields, pickSchema(DAY_SCHEMA, SEALED_FIELDS), `days[${entry.index}].`, problems, [day, entry.index]);
+            reportConfigProblems(problems);
+
+            Object.assign(day, fields);
+            delete day.sealed;
+        });
+}
 
-    iconWrapper.style.position = 'absolute';
-    iconWrapper.style.left = '0';
-    iconWrapper.style.top = '0';
-    iconWrapper.style.width = `${size}px`;
-    iconWrapper.style.height = `${size}px`;
-    iconWrapper.style.pointerEvents = 'none';
+// Opens every sealed day the schedule has reached (all of them with date locking off).
+// A day that can't be opened still plays, with a note in place of its quote.
+function unsealDays() {
+    const now = getNow();
+    const due = schedule.filter(entry => config.days[entry.index].sealed && !unsealFailed.has(entry.index) &&
+        (!isDateLocked || entry.start <= now));
+    if (!due.length) return Promise.resolve();
+
+    if (sealSecret === undefined) sealSecret = getSealSecret();
+    const showSealed = (entry) => {
+        unsealFailed.add(entry.index);
+        config.days[entry.index].quote = t('sealedQuote');
+    };
+    if (!sealSecret || !window.crypto || !crypto.subtle) {
+        console.warn(sealSecret
+            ? '⚠️ Sealed days need a secure (https) page to open'
+            : '⚠️ Some days are sealed and there is no key - open the link with #key=... at the end');
+        due.forEach(showSealed);
+        return Promise.resolve();
+    }
 
-    // Random Direction & Speed
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 0.2 + Math.random() * 0.4; // Very gentle speed
+    return Promise.all(due.map(entry => {
+        if (!unsealing.has(entry.index)) {
+            unsealing.set(entry.index, unsealDay(entry)
+                .then(() => console.log(`🔓 Unsealed ${config.days[entry.index].title}`))
+                .catch(() => {
+                    console.warn(`⚠️ Could not unseal ${config.days[entry.index].title} - the key doesn't match`);
+                    showSealed(entry);
+                })
+                .then(() => unsealing.delete(entry.index)));
+        }
+        return unsealing.get(entry.index);
+    }));
+}
 
-    let startX, startY;
+// ============ CONTENT PACKS ============
+// One deployment can serve many couples: an alternate config is loaded before init() from
+//   ?pack=packs/our-week.json          a JSON file on this site
+//   #config=<compressed config>        the whole config packed into the link (see createPackLink)
+// Only presentation defaults are inherited from config.js; the pack brings its own people and days.
+const PACK_INHERITED_KEYS = ['floatingIcons', 'defaultMusic', 'musicList'];
+const PACK_ALLOWED_TAGS = ['B', 'STRONG', 'I', 'EM', 'BR', 'SPAN', 'SMALL', 'U'];
 
-    if (initial) {
-        startX = Math.random() * (window.innerWidth - size);
-        startY = Math.random() * (window.innerHeight - size);
-    } else {
-        // Spawn from edges
-        if (Math.random() < 0.5) {
-            startX = Math.random() * window.innerWidth;
-            startY = Math.random() < 0.5 ? window.innerHeight + 50 : -50;
-        } else {
-            startX = Math.random() < 0.5 ? -50 : window.innerWidth + 50;
-            startY = Math.random() * window.innerHeight;
-        }
+function getContentPackSource() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('pack')) return { type: 'url', value: params.get('pack') };
+
+    const hash = window.location.hash.match(/^#(?:.*&)?config=([^&]+)/); // Alongside a sealed-day #key= if there is one
+    if (hash) return { type: 'fragment', value: hash[1] };
+
+    if (params.has('preview') && window.parent !== window) {
+        return { type: 'preview', day: parseInt(params.get('preview'), 10) || 0, stage: params.get('stage') };
     }
+    return null;
+}
 
-    // CSS Animation class for internal sway (no translation)
-    const cssAnims = ['float-up', 'float-down', 'drift-left', 'drift-right'];
-    img.classList.add(cssAnims[Math.floor(Math.random() * cssAnims.length)]);
-    img.style.animationDuration = `${20 + Math.random() * 20}s`;
+function loadContentPack(source) {
+    if (source.type === 'preview') return loadPreviewConfig(source);
 
-    container.appendChild(iconWrapper);
+    const load = source.type === 'url' ? fetchPackFile(source.value) : decodePackFragment(source.value);
+    return load.then(pack => {
+        // Link-supplied content ends up in innerHTML, so only simple formatting tags survive
+        if (source.type === 'fragment') pack = sanitizePackValue(pack);
 
-    floatingIcons.push({
-        element: iconWrapper,
-        x: startX,
-        y: startY,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
-        size: size
+        const problems = checkContentPack(pack);
+        if (problems.length) throw new Error(`This content pack has problems:\n• ${problems.join('\n• ')}`);
+        applyContentPack(pack);
+        console.log(`📦 Loaded content pack for ${config.recipientName} (${config.days.length} days)`);
     });
+}
 
-    // Cleanup safety net (in case visual logic fails) - 2 mins
-    setTimeout(() => {
-        if (iconWrapper.parentNode) iconWrapper.remove();
-    }, 120000);
+// ============ EDITOR PREVIEW ============
+// editor.html frames this page as index.html?preview=<day>&stage=<stage> and hands over
+// its unsaved config through getPreviewConfig(), so any day and stage can be checked live.
+let previewDayIndex = 0;
+let previewStartStage = null;
+
+function loadPreviewConfig(source) {
+    return new Promise(resolve => {
+        const draft = JSON.parse(JSON.stringify(window.parent.getPreviewConfig()));
+        const problems = checkContentPack(draft);
+        if (problems.length) throw new Error(`The draft has problems:\n• ${problems.join('\n• ')}`);
+
+        applyContentPack(draft);
+        isPreview = true;
+        isDateLocked = false;
+        previewDayIndex = Math.min(Math.max(source.day, 0), config.days.length - 1);
+        previewStartStage = source.stage || null;
+        resolve();
+    });
 }
 
-function setupMusicForDay() {
-    // Use default music for outside Valentine's Week
-    if (currentDayIndex < 0 || currentDayIndex === undefined) {
-        const defaultSrc = config.defaultMusic || 'assets/music/default-bg.mp3';
-        if (bgMusic.src.indexOf(defaultSrc) === -1) {
-            playAudioSafe(defaultSrc);
-        }
-        return;
+function fetchPackFile(path) {
+    const url = new URL(path, window.location.href);
+    if (url.origin !== window.location.origin) {
+        return Promise.reject(new Error('Content packs must be hosted on this site.'));
     }
+    return fetch(url.href).then(res => {
+        if (!res.ok) throw new Error(`Could not load the content pack "${path}" (HTTP ${res.status}).`);
+        return res.json();
+    });
+}
 
-    const day = config.days[currentDayIndex];
-    let source = day.music;
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
 
-    if (!source && config.musicList && config.musicList.length > 0) {
-        source = config.musicList[Math.floor(Math.random() * config.musicList.length)];
-    }
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-    if (source && bgMusic.src.indexOf(source) === -1) {
-        playAudioSafe(source);
+function decodePackFragment(text) {
+    if (typeof DecompressionStream === 'undefined') {
+        return Promise.reject(new Error('This browser can\'t open compressed links - please update it or use a ?pack= link.'));
     }
+    let bytes;
+    try {
+        bytes = base64UrlToBytes(decodeURIComponent(text));
+    } catch (e) {
+        return Promise.reject(new Error('The link looks incomplete - try copying it again.'));
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text()
+        .then(json => JSON.parse(json))
+        .catch(() => { throw new Error('The link looks incomplete - try copying it again.'); });
 }
 
-function playAudioSafe(src) {
-    bgMusic.pause();
-    bgMusic.src = src;
-    bgMusic.load();
+// Builds a shareable link with the given config compressed into the fragment.
+// Handy from the browser console: createPackLink(config).then(console.log)
+function createPackLink(packConfig) {
+    const stream = new Blob([JSON.stringify(packConfig)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer().then(buffer => {
+        const base = window.location.href.split('#')[0].split('?')[0];
+        return `${base}#config=${bytesToBase64Url(new Uint8Array(buffer))}`;
+    });
+}
 
-    // Wait for audio to be ready to prevent race conditions on slow data
-    const playHandler = () => {
-        const playPromise = bgMusic.play();
-        if (playPromise !== undefined) {
-            playPromise
-                .then(() => {
-                    setMusicPlayingState(true);
-                })
-                .catch(e => {
-                    console.log("Playback deferred/blocked:", e);
-                    if (e.name === 'NotAllowedError') {
-                        // Show consent modal if blocked
-                        const modal = document.getElementById('musicConsentModal');
-                        if (modal) modal.classList.add('visible');
-                    }
-                });
+function sanitizePackHtml(html) {
+    if (!/[<&]/.test(html)) return html;
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('*').forEach(el => {
+        if (!PACK_ALLOWED_TAGS.includes(el.tagName)) {
+            el.replaceWith(document.createTextNode(el.textContent));
+            return;
         }
-        bgMusic.removeEventListener('canplaythrough', playHandler);
-    };
+        [...el.attributes].forEach(attr => {
+            if (attr.name !== 'class') el.removeAttribute(attr.name);
+        });
+    });
+    return template.innerHTML;
+}
+
+function sanitizePackValue(value) {
+    if (typeof value === 'string') return sanitizePackHtml(value);
+    if (Array.isArray(value)) return value.map(sanitizePackValue);
+    if (value && typeof value === 'object') {
+        const clean = {};
+        Object.keys(value).forEach(key => { clean[key] = sanitizePackValue(value[key]); });
+        return clean;
+    }
+    return value;
+}
+
+// The minimum a pack needs before init() can run with it
+function checkContentPack(pack) {
+    const problems = [];
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['The pack must be a JSON object.'];
+    if (!pack.recipientName) problems.push('"recipientName" is missing.');
+    if (!Array.isArray(pack.days) || !pack.days.length) {
+        problems.push('"days" must be a list with at least one day.');
+    } else {
+        pack.days.forEach((day, index) => {
+            if (!day || typeof day !== 'object') {
+                problems.push(`Day ${index + 1} is not an object.`);
+                return;
+            }
+            if (!day.title) problems.push(`Day ${index + 1} has no "title".`);
+            if (!parseDateRange(day.date)) problems.push(`Day ${index + 1} has an unreadable "date" (${day.date}).`);
+        });
+    }
+    return problems;
+}
+
+// config is a const from config.js, so the pack is swapped in place
+function applyContentPack(pack) {
+    const inherited = {};
+    PACK_INHERITED_KEYS.forEach(key => {
+        if (config[key] !== undefined) inherited[key] = config[key];
+    });
+
+    Object.keys(config).forEach(key => { delete config[key]; });
+    Object.assign(config, inherited, pack);
+
+    scheduleTimeZone = undefined;
+    schedule = buildSchedule(getScheduleYear());
+}
 
-    bgMusic.addEventListener('canplaythrough', playHandler);
+function showPackError(error) {
+    console.error('📦 Content pack failed to load:', error);
+    const box = document.createElement('div');
+    box.className = 'pack-error';
+    box.innerHTML = '<div class="pack-error-icon">💔</div><h2>This surprise couldn\'t be opened</h2><p></p>';
+    box.querySelector('p').textContent = error.message;
+    document.body.appendChild(box);
+}
 
-    // Error handling fallback
-    bgMusic.onerror = function () {
-        console.warn("Audio source failed:", src);
-        if (src !== 'assets/music/rose-day.mp3') {
-            playAudioSafe('assets/music/rose-day.mp3'); // Fallback
-        }
-    };
+// ============ PERSONAL COPY ============
+function getNickname() {
+    return config.nickname || config.recipientName;
 }
 
-function tryAutoPlayMusic() {
-    bgMusic.play().then(() => {
-        setMusicPlayingState(true);
-    }).catch(e => {
-        console.log("Autoplay blocked by browser, waiting for user interaction");
-        const modal = document.getElementById('musicConsentModal');
-        const btn = document.getElementById('musicConsentBtn');
+function setMetaContent(property, value) {
+    const tag = document.querySelector(`meta[property="${property}"]`);
+    if (tag && value) tag.setAttribute('content', value);
+}
 
-        modal.classList.add('visible');
+// Fills the page title, link-preview tags and letter signature from config
+function applyPersonalCopy() {
+    const meta = config.meta || {};
+    const nickname = getNickname();
+    const fallbackTitle = t('pageTitle', { name: nickname });
+    document.title = meta.title || fallbackTitle;
+    setMetaContent('og:title', meta.shareTitle || meta.title || fallbackTitle);
+    setMetaContent('og:description', meta.description);
+    setMetaContent('og:image', meta.image);
+    setMetaContent('og:url', meta.url);
+
+    const signature = document.getElementById('letterSignature');
+    if (signature) {
+        document.getElementById('letterSignOff').textContent = config.letterSignOff || '';
+        document.getElementById('letterSender').textContent = config.senderName || '';
+        signature.style.display = config.letterSignOff || config.senderName ? '' : 'none';
+    }
+}
 
-        // Function to start music and hide modal
-        const startMusicAndHideModal = () => {
-            bgMusic.play().then(() => {
-                setMusicPlayingState(true);
-                modal.classList.remove('visible');
-                // Remove the document click listener after music starts
-                document.removeEventListener('click', startMusicAndHideModal);
-                document.removeEventListener('touchstart', startMusicAndHideModal);
-            }).catch(err => console.log("Still blocked:", err));
-        };
+// ============ LANGUAGES ============
+// Interface text comes from one string table: `strings` in config overrides single entries,
+// and `languages` holds whole translations (their strings plus translated day content),
+// picked with `language` in config or ?lang= in the link. Dates and numbers follow the locale.
+const DEFAULT_STRINGS = {
+    greetingHello: 'Hey',
+    dayAnnounce: "It's {title}!",
+    chatMessage: 'Happy {title}! {icon}',
+    chatPlaceholder: 'Type a message',
+    cardBadge: '{date} • {title}',
+    cardFooter: 'Happy {title} • {date}',
+    readLetter: '💌 Read My Letter 💌',
+    effectsOn: '✨ Effects On',
+    effectsOff: '✨ Effects Off',
+    endMessage: 'Hope you loved this! 💕',
+    watchAgain: 'Watch Again ↺',
+    backToWeek: 'Back to Our Week 💕',
+    pageTitle: 'A Surprise for {name}',
+    storyPause: 'Pause story (K)',
+    storyResume: 'Resume story (K)',
+    storyPauseShort: 'Pause (K)',
+    storyResumeShort: 'Resume (K)',
+    mute: 'Mute',
+    unmute: 'Unmute',
+    describeChat: '{name}, a message for you: {message}',
+    describeChatVoice: 'There is a voice note too.',
+    describeGift: 'A gift for you.',
+    comingSoonTitle: 'Something Special is Coming...',
+    comingSoonFor: 'For {name}',
+    countdownStart: "Valentine's Week begins in:",
+    countdownNext: 'The next surprise unlocks in:',
+    countdownReturn: "Valentine's Week returns in:",
+    noteStart: "Valentine's Week begins on {date} 💕",
+    noteNext: '{title} arrives on {date} 💕',
+    noteReturn: "Valentine's Week returns on {date} 💕",
+    teaserStart: '💕 This is where our story begins...',
+    teaserEnd: "✨ That's everything for now... more love is on its way!",
+    teaserLocked: '🔒 Patience, my love... {title} unlocks on {date} 💕',
+    teaserSecret: '🔒 {title} is still a secret... 💕',
+    dotLabel: '{date} - {title}',
+    dotLocked: '{date} - {title} (locked)',
+    unlockKicker: 'A new day has unlocked! ✨',
+    newDayUnlocked: 'A new day has unlocked: {title}',
+    recapTitle: "Our Valentine's Week 💕",
+    recapSub: 'Every moment, kept safe. Tap a day to relive it.',
+    recapMontage: '▶ Relive the Week',
+    recapLetter: '💌 Read My Letter',
+    reliveDay: '▶ Relive this day',
+    recapNote: 'Our week stays here until {date} 💕',
+    montageFinale: "And I'd choose you all over again",
+    montageSkip: 'Tap anywhere to return to the gallery',
+    sealedQuote: "🔒 This day is still sealed... open the link I sent you to read it 💌",
+    gateKicker: 'Before we begin... are you really you? 🔐',
+    gatePlaceholder: 'Your answer',
+    gateSubmit: 'Open 💌',
+    gateRemember: 'Remember this device',
+    gateWrong: "Hmm, that's not it... try again 💭",
+    gateClose: 'Ooh, so close! Check the spelling 😉',
+    gateRight: "It's you! 💖",
+    replyOpen: 'Reply to me 💬',
+    replyTitle: 'Me',
+    replyPlaceholder: 'Type a reply',
+    replySend: 'Send',
+    replyExport: 'Save our chat',
+    replyClose: 'Close',
+    replyEmpty: 'No replies yet 💭',
+    recapChat: '💬 Our Chat'
+};
 
-        // Button click
-        btn.onclick = startMusicAndHideModal;
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'sd', 'yi', 'dv', 'ug'];
+const LANGUAGE_SETTINGS = ['locale', 'dir']; // Describe the translation rather than override config
 
-        // Also start music on any click/touch anywhere on the page
-        document.addEventListener('click', startMusicAndHideModal, { once: true });
-        document.addEventListener('touchstart', startMusicAndHideModal, { once: true });
+let currentLanguage = 'en';
+let currentLocale = 'en-US';
+const unitFormatters = new Map();
+
+function t(key, vars) {
+    const strings = config.strings || {};
+    const template = strings[key] !== undefined ? strings[key] : DEFAULT_STRINGS[key];
+    if (template === undefined) return key;
+    return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+        (vars && vars[name] !== undefined ? vars[name] : match));
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; anything else (text, lists) is replaced outright
+function mergeTranslation(base, translation) {
+    if (!isPlainObject(base) || !isPlainObject(translation)) return translation;
+    const merged = Object.assign({}, base);
+    Object.keys(translation).forEach(key => {
+        merged[key] = mergeTranslation(base[key], translation[key]);
     });
+    return merged;
 }
 
-// ============ NAVIGATION ============
-function goToDay(index) {
-    if (index === currentDayIndex) return;
-    updateDay(index);
+function getLanguageDirection(code, translation) {
+    if (translation && translation.dir) return translation.dir === 'rtl' ? 'rtl' : 'ltr';
+    return RTL_LANGUAGES.includes(code.split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
 }
 
-function navigate(direction) {
-    let newIndex = currentDayIndex + direction;
-    if (newIndex < 0) newIndex = config.days.length - 1;
-    if (newIndex >= config.days.length) newIndex = 0;
+function toLocale(value) {
+    try {
+        return Intl.getCanonicalLocales(value)[0] || 'en-US';
+    } catch (e) {
+        console.warn(`⚠️ "${value}" is not a valid locale, formatting dates in English instead`);
+        return 'en-US';
+    }
+}
 
-    currentDayIndex = newIndex;
+// Runs before validation: lays the chosen translation over config and sets lang/dir on the page
+function applyLanguage() {
+    const base = config.language || 'en';
+    const languages = isPlainObject(config.languages) ? config.languages : {};
+    const requested = new URLSearchParams(window.location.search).get('lang') || base;
+    const code = languages[requested] ? requested : requested.split('-')[0];
+    const translation = code !== base && isPlainObject(languages[code]) ? languages[code] : null;
 
-    // Kill all running animations
-    gsap.globalTimeline.clear();
+    if (requested !== base && !translation) {
+        console.warn(`⚠️ No "${requested}" translation in config.languages, showing ${base} instead`);
+    }
 
-    // Reset
-    populateDayContent(config.days[currentDayIndex]);
-    createFloatingBackground(); // re-init bg if needed (optional)
-    setupMusicForDay();
-    playTimeline();
+    if (translation) {
+        Object.keys(translation).forEach(key => {
+            if (LANGUAGE_SETTINGS.includes(key) || key === 'languages') return;
+            if (key === 'days') {
+                // Translated days line up with config.days by position; dates stay as scheduled
+                (Array.isArray(translation.days) ? translation.days : []).forEach((day, index) => {
+                    if (!isPlainObject(day) || !Array.isArray(config.days) || !config.days[index]) return;
+                    const text = Object.assign({}, day);
+                    delete text.date;
+                    config.days[index] = mergeTranslation(config.days[index], text);
+                });
+                return;
+            }
+            config[key] = mergeTranslation(config[key], translation[key]);
+        });
+        schedule = buildSchedule(getScheduleYear()); // Entries point at the day objects just replaced
+        console.log(`🌐 Showing the ${code} translation`);
+    }
+
+    currentLanguage = translation ? code : base;
+    currentLocale = toLocale((translation && translation.locale) || (translation ? requested : config.locale || base));
+    unitFormatters.clear();
+    document.documentElement.lang = currentLanguage;
+    document.documentElement.dir = getLanguageDirection(currentLanguage, translation);
 }
 
-// ============ PARALLAX ============
-function setupParallax() {
-    document.addEventListener('mousemove', (e) => {
-        const xAxis = (window.innerWidth / 2 - e.pageX) / 30;
-        const yAxis = (window.innerHeight / 2 - e.pageY) / 30;
-        mainCard.style.transform = `
-  perspective(1000px)
-  rotateY(${xAxis}deg)
-  rotateX(${yAxis}deg)
-  translateY(-5px)
-  scale(1.005)
-`;
-    });
+function isRtl() {
+    return document.documentElement.dir === 'rtl';
+}
 
-    document.addEventListener('mouseleave', () => {
-        mainCard.style.transform = 'perspective(1000px) rotateY(0) rotateX(0)';
+// Static page text marked with data-i18n="key"
+function applyStrings() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
     });
 }
 
-// ============ MUSIC ============
-function toggleMusic() {
-    if (!bgMusic.paused) {
-        bgMusic.pause();
-    } else {
-        bgMusic.play().catch(e => console.log("Audio play failed:", e));
+// A day's date as the recipient's language writes it; 'long' adds the year.
+// Multi-day entries ("Feb 13-14") show as a range.
+function formatDayDate(index, style = 'short') {
+    const day = config.days[index];
+    const entry = schedule.find(item => item.index === index);
+    const range = day && parseDateRange(day.date);
+    if (!entry || !range) return day ? day.date : '';
+
+    const options = { month: style, day: 'numeric', timeZone: getScheduleTimeZone() || undefined };
+    if (style === 'long') options.year = 'numeric';
+    const formatter = new Intl.DateTimeFormat(currentLocale, options);
+    if (range.end === range.start) return formatter.format(entry.start);
+
+    const startYear = getZonedParts(entry.start).year;
+    const endYear = range.end.month < range.start.month ? startYear + 1 : startYear;
+    const last = zonedDate(endYear, range.end.month, range.end.day, 12);
+    return formatter.formatRange
+        ? formatter.formatRange(entry.start, last)
+        : `${formatter.format(entry.start)} – ${formatter.format(last)}`;
+}
+
+function formatCountdownNumber(value) {
+    return new Intl.NumberFormat(currentLocale, { minimumIntegerDigits: 2 }).format(value);
+}
+
+// "days", "Tage", "أيام"... taken from the locale's own unit formatting
+function getUnitLabel(unit, value) {
+    if (!unitFormatters.has(unit)) {
+        try {
+            unitFormatters.set(unit, new Intl.NumberFormat(currentLocale, { style: 'unit', unit, unitDisplay: 'long' }));
+        } catch (e) {
+            unitFormatters.set(unit, null); // Older browsers without unit formatting
+        }
     }
+    const formatter = unitFormatters.get(unit);
+    if (!formatter) return null;
+    const label = formatter.formatToParts(value)
+        .filter(part => part.type === 'unit')
+        .map(part => part.value)
+        .join(' ')
+        .trim();
+    return label || null;
 }
 
-function updateProgress() {
-    const progress = (bgMusic.currentTime / bgMusic.duration) * 100;
-    progressBar.style.width = `${progress}%`;
+// ============ CONFIG VALIDATION ============
+// Checks config before init(): types, required fields, colour formats and (in the background)
+// that asset paths exist. Problems that would break the page are repaired with safe fallbacks,
+// so production degrades quietly; creators (localhost, file://, ?check or the debug panel)
+// also get a readable report on screen.
+const COLOR_FALLBACKS = { themeColor: '#FF6B9D', bgStart: '#FFF9FB', bgMid: '#FCE4EC', bgEnd: '#F8BBD0' };
+
+const CONFIG_SCHEMA = {
+    year: { type: 'number' },
+    timezone: { type: 'timezone' },
+    unlockTime: { type: 'time' },
+    recapDays: { type: 'number' },
+    beatSensitivity: { type: 'number' },
+    responseEndpoint: { type: 'string' },
+    allowReplies: { type: 'boolean' },
+    gate: { type: 'object' },
+    recipientName: { type: 'string', required: true, fallback: () => 'You' },
+    nickname: { type: 'string' },
+    senderName: { type: 'string' },
+    letterSignOff: { type: 'string' },
+    meta: { type: 'object' },
+    language: { type: 'string' },
+    locale: { type: 'string' },
+    strings: { type: 'object' },
+    languages: { type: 'object' },
+    stageOptions: { type: 'object' },
+    theme: { type: 'theme' },
+    themes: { type: 'object' },
+    darkMode: { type: 'darkMode' },
+    nightHours: { type: 'hours' },
+    floatingIcons: { type: 'array', items: 'asset' },
+    defaultMusic: { type: 'track' },
+    musicList: { type: 'array', items: 'track' },
+    days: { type: 'array', required: true }
+};
+
+const GATE_SCHEMA = {
+    question: { type: 'string' },
+    answers: { type: 'array', items: 'string' },
+    hints: { type: 'array', items: 'string' },
+    remember: { type: 'boolean' }
+};
+
+const DAY_SCHEMA = {
+    date: { type: 'date', required: true },
+    unlockTime: { type: 'time' },
+    title: { type: 'string', required: true, fallback: (day, index) => `Day ${index + 1}` },
+    dayNumber: { type: 'string', fallback: (day, index) => `Day ${index + 1}` },
+    subtitle: { type: 'string', fallback: () => '' },
+    icon: { type: 'string', required: true, fallback: () => '💝' },
+    icons: { type: 'array', items: 'string', length: 3 },
+    quote: { type: 'string', required: true, fallback: () => '' },
+    message: { type: 'string', fallback: () => '' },
+    themeColor: { type: 'color', required: true, hex: true, fallback: () => COLOR_FALLBACKS.themeColor },
+    bgStart: { type: 'color', required: true, fallback: () => COLOR_FALLBACKS.bgStart },
+    bgMid: { type: 'color', required: true, fallback: () => COLOR_FALLBACKS.bgMid },
+    bgEnd: { type: 'color', required: true, fallback: () => COLOR_FALLBACKS.bgEnd },
+    theme: { type: 'theme' },
+    petalSymbols: { type: 'array', items: 'string', required: true, fallback: (day) => [day.icon || '💝', '💕', '✨'] },
+    floatingIcons: { type: 'array', items: 'asset' },
+    music: { type: 'track' },
+    lyrics: { type: 'asset' },
+    musicStart: { type: 'musicTime' },
+    musicFadeIn: { type: 'number' },
+    memories: { type: 'array', items: 'memory', fallback: () => [] },
+    letter: { type: 'string' },
+    stages: { type: 'array', items: 'stage' },
+    stageOptions: { type: 'object' },
+    sealed: { type: 'string' }
+};
+
+let configProblems = [];
+
+function isCreatorMode() {
+    if (showDebugPanel) return true;
+    if (new URLSearchParams(window.location.search).has('check')) return true;
+    return window.location.protocol === 'file:' || ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
 }
 
-// ============ EVENT LISTENERS ============
-function setupEventListeners() {
-    prevBtn.addEventListener('click', () => navigate(-1));
-    nextBtn.addEventListener('click', () => navigate(1));
-    playPauseBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleMusic(); });
-    bgMusic.addEventListener('timeupdate', updateProgress);
+function describeValue(value) {
+    if (Array.isArray(value)) return 'a list';
+    if (value === null) return 'null';
+    return typeof value === 'string' ? `"${value}"` : `a ${typeof value}`;
+}
 
-    // Keyboard
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowLeft') navigate(-1);
-        if (e.key === 'ArrowRight') navigate(1);
-        if (e.key === ' ') { e.preventDefault(); toggleMusic(); }
-    });
+// Number of single-letter edits between two words (case doesn't count)
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
 
-    // Confetti on click
-    document.body.addEventListener('click', (e) => {
-        for (let i = 0; i < 5; i++) createConfetti(e.clientX, e.clientY);
+// Closest known key, to point at typos like "petalSymbol"
+function suggestKey(key, known) {
+    let best = null;
+    known.forEach(candidate => {
+        const score = editDistance(key, candidate);
+        if (score <= 2 && (!best || score < best.score)) best = { candidate, score };
     });
+    return best ? best.candidate : null;
 }
 
-function createConfetti(x, y) {
-    const day = config.days[currentDayIndex];
-    const confetti = document.createElement('div');
-    confetti.style.cssText = `
-position: fixed; left: ${x}px; top: ${y}px;
-font-size: 1.5rem; z-index: 9999; pointer-events: none;
-`;
-    confetti.innerHTML = day.petalSymbols[Math.floor(Math.random() * day.petalSymbols.length)];
-    document.body.appendChild(confetti);
+function isValidColor(value) {
+    if (typeof value !== 'string') return false;
+    if (window.CSS && CSS.supports) return CSS.supports('color', value);
+    return /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value);
+}
 
-    const animation = confetti.animate([
-        { transform: `translate(0, 0) rotate(0deg) scale(1)`, opacity: 1 },
-        { transform: `translate(${Math.random() * 100 - 50}px, -150px) rotate(${Math.random() * 360}deg) scale(0)`, opacity: 0 }
-    ], { duration: 1500, easing: 'cubic-bezier(0.215, 0.610, 0.355, 1)' });
+// Returns a problem message for a value of the given type, or null when it's fine
+function checkValueType(type, value) {
+    switch (type) {
+        case 'string':
+        case 'asset':
+            return typeof value === 'string' ? null : `should be text, not ${describeValue(value)}`;
+        case 'track':
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                return typeof value.src === 'string' && value.src ? null : 'needs a "src" path for the song';
+            }
+            return typeof value === 'string' ? null : `should be a song path or { src, title, artist, lyrics }, not ${describeValue(value)}`;
+        case 'memory':
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                if (typeof value.text !== 'string') return 'needs the line as "text"';
+                return value.voice === undefined || typeof value.voice === 'string' ? null : 'has a "voice" that isn\'t a file path';
+            }
+            return typeof value === 'string' ? null : `should be text or { text, voice }, not ${describeValue(value)}`;
+        case 'musicTime':
+            return typeof value === 'number' || /^(\d+:)?\d+(\.\d+)?$/.test(String(value).trim())
+                ? null : `${describeValue(value)} should be seconds (like 42) or "m:ss" (like "1:05")`;
+        case 'number':
+            return typeof value === 'number' && !isNaN(value) ? null : `should be a number, not ${describeValue(value)}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `should be true or false, not ${describeValue(value)}`;
+        case 'array':
+            return Array.isArray(value) ? null : `should be a list [...], not ${describeValue(value)}`;
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : `should be an object {...}, not ${describeValue(value)}`;
+        case 'color':
+            return isValidColor(value) ? null : `${describeValue(value)} is not a colour - use a hex code like "#ff007f"`;
+        case 'date':
+            return parseDateRange(value) ? null : `${describeValue(value)} is not a date - use a month and day like "Feb 7" or "Feb 9 - 10"`;
+        case 'time':
+            return typeof value === 'string' && /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.test(value.trim())
+                ? null : `${describeValue(value)} is not a time - use "HH:MM" like "07:00"`;
+        case 'timezone':
+            if (typeof value !== 'string') return `should be text, not ${describeValue(value)}`;
+            if (!value) return null;
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+                return null;
+            } catch (e) {
+                return `"${value}" is not a known timezone - use an IANA name like "Asia/Kolkata"`;
+            }
+        case 'theme':
+            if (typeof value !== 'string') return `should be a theme name, not ${describeValue(value)}`;
+            return getThemePack(value)
+                ? null : `"${value}" is not a known theme (${Object.keys(Object.assign({}, THEME_PACKS, config.themes)).join(', ')})`;
+        case 'darkMode':
+            return DARK_MODES.includes(value) ? null : `${describeValue(value)} should be true, false, "auto", "system" or "night"`;
+        case 'hours':
+            return typeof value === 'string' && /^\s*\d{1,2}(:\d{2})?\s*-\s*\d{1,2}(:\d{2})?\s*$/.test(value)
+                ? null : `${describeValue(value)} is not a time range - use "HH:MM-HH:MM" like "20:00-06:00"`;
+        case 'stage':
+            if (typeof value !== 'string') return `should be a stage name, not ${describeValue(value)}`;
+            return stageHandlers[value] ? null : `"${value}" is not a known stage (${Object.keys(stageHandlers).join(', ')})`;
+        default:
+            return null;
+    }
+}
 
-    animation.onfinish = () => confetti.remove();
+// Checks one object against a schema, repairing broken values where a fallback exists
+// The rules for just some of a schema's keys
+function pickSchema(schema, keys) {
+    return keys.reduce((picked, key) => {
+        if (schema[key]) picked[key] = schema[key];
+        return picked;
+    }, {});
 }
 
-// ============ VALENTINE'S DAY SPECIAL EFFECTS ============
-function createFireworks() {
-    const colors = ['#ff0040', '#ff69b4', '#ff1493', '#ff6b6b', '#ffd700', '#ff4500'];
-    const container = document.body;
+function checkAgainstSchema(target, schema, path, problems, fallbackArgs) {
+    Object.keys(schema).forEach(key => {
+        const rule = schema[key];
+        const fieldPath = `${path}${key}`;
+        const value = target[key];
+        let problem = null;
 
-    for (let burst = 0; burst < 5; burst++) {
-        setTimeout(() => {
-            const x = 100 + Math.random() * (window.innerWidth - 200);
-            const y = 100 + Math.random() * (window.innerHeight / 2);
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) problem = 'is missing';
+        } else {
+            problem = checkValueType(rule.type, value);
+        }
 
-            // Create burst of particles
-            for (let i = 0; i < 20; i++) {
-                const particle = document.createElement('div');
-                const color = colors[Math.floor(Math.random() * colors.length)];
-                const angle = (i / 20) * Math.PI * 2;
-                const velocity = 50 + Math.random() * 100;
-                const endX = Math.cos(angle) * velocity;
-                const endY = Math.sin(angle) * velocity;
+        if (problem) {
+            const repaired = !!rule.fallback;
+            problems.push({ level: rule.required || repaired ? 'error' : 'warning', path: fieldPath, message: `${fieldPath} ${problem}` });
+            if (repaired) target[key] = rule.fallback(...fallbackArgs);
+            else if (value !== undefined && !rule.required) delete target[key];
+            return;
+        }
+        if (value === undefined || value === null) return;
 
-                particle.style.cssText = `
-                    position: fixed;
-                    left: ${x}px;
-                    top: ${y}px;
-                    width: 8px;
-                    height: 8px;
-                    background: ${color};
-                    border-radius: 50%;
-                    z-index: 10000;
-                    pointer-events: none;
-                    box-shadow: 0 0 10px ${color}, 0 0 20px ${color};
-                `;
-                container.appendChild(particle);
+        if (rule.hex && !/^#[0-9a-f]{6}$/i.test(value)) {
+            problems.push({ level: 'warning', path: fieldPath, message: `${fieldPath} works, but a 6-digit hex code (like "#ff007f") also themes the music player` });
+        }
+        if (rule.type === 'array' && rule.items) {
+            value.forEach((item, i) => {
+                const itemProblem = checkValueType(rule.items, item);
+                if (itemProblem) problems.push({ level: 'warning', path: `${fieldPath}[${i}]`, message: `${fieldPath}[${i}] ${itemProblem}` });
+            });
+            const cleaned = value.filter(item => !checkValueType(rule.items, item));
+            if (cleaned.length !== value.length) target[key] = cleaned;
+            if (!target[key].length && rule.fallback) target[key] = rule.fallback(...fallbackArgs);
+        }
+        if (rule.length && value.length < rule.length) {
+            problems.push({ level: 'warning', path: fieldPath, message: `${fieldPath} has ${value.length} of ${rule.length} items - the rest repeat the first one` });
+        }
+    });
 
-                particle.animate([
-                    { transform: 'translate(0, 0) scale(1)', opacity: 1 },
-                    { transform: `translate(${endX}px, ${endY + 50}px) scale(0)`, opacity: 0 }
-                ], { duration: 1000 + Math.random() * 500, easing: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)' })
-                    .onfinish = () => particle.remove();
-            }
-        }, burst * 400);
-    }
+    Object.keys(target).forEach(key => {
+        if (schema[key]) return;
+        const suggestion = suggestKey(key, Object.keys(schema));
+        problems.push({
+            level: 'warning',
+            path: `${path}${key}`,
+            message: suggestion
+                ? `${path}${key} isn't a known setting - did you mean "${suggestion}"?`
+                : `${path}${key} isn't a known setting and will be ignored`
+        });
+    });
 }
 
-function createHeartsRain() {
-    const hearts = ['❤️', '💕', '💖', '💗', '💝', '💘', '🌹'];
-    const container = document.body;
+function validateConfig() {
+    const problems = [];
+    checkAgainstSchema(config, CONFIG_SCHEMA, '', problems, []);
+    if (config.gate) {
+        checkAgainstSchema(config.gate, GATE_SCHEMA, 'gate.', problems, []);
+        if (config.gate.question && !getGate()) {
+            problems.push({ level: 'warning', path: 'gate.answers', message: 'gate.answers is empty, so the question is never asked' });
+        }
+    }
 
-    for (let i = 0; i < 30; i++) {
-        setTimeout(() => {
-            const heart = document.createElement('div');
-            heart.innerHTML = hearts[Math.floor(Math.random() * hearts.length)];
-            heart.style.cssText = `
-                position: fixed;
-                left: ${Math.random() * 100}%;
-                top: -50px;
-                font-size: ${1 + Math.random() * 1.5}rem;
-                z-index: 9998;
-                pointer-events: none;
-                opacity: 0.8;
-            `;
-            container.appendChild(heart);
+    Object.keys(config.strings || {}).forEach(key => {
+        if (DEFAULT_STRINGS[key] !== undefined) return;
+        const suggestion = suggestKey(key, Object.keys(DEFAULT_STRINGS));
+        problems.push({
+            level: 'warning',
+            path: `strings.${key}`,
+            message: suggestion
+                ? `strings.${key} isn't a known string - did you mean "${suggestion}"?`
+                : `strings.${key} isn't a known string and will be ignored`
+        });
+    });
 
-            heart.animate([
-                { transform: 'translateY(0) rotate(0deg)', opacity: 0.8 },
-                { transform: `translateY(${window.innerHeight + 100}px) rotate(${Math.random() * 360}deg)`, opacity: 0 }
-            ], { duration: 4000 + Math.random() * 3000, easing: 'linear' })
-                .onfinish = () => heart.remove();
-        }, i * 100);
+    if (!Array.isArray(config.days)) config.days = [];
+    config.days = config.days.filter((day, index) => {
+        if (day && typeof day === 'object') return true;
+        problems.push({ level: 'error', path: `days[${index}]`, message: `days[${index}] is not a day object and was skipped` });
+        return false;
+    });
+    if (!config.days.length) {
+        problems.push({ level: 'error', path: 'days', message: 'days needs at least one day' });
     }
+
+    config.days.forEach((day, index) => {
+        if (day.sealed) {
+            // Sealed words are checked once they're unsealed (see unsealDay) and stay empty until then
+            const schema = Object.assign({}, DAY_SCHEMA);
+            SEALED_FIELDS.forEach(key => { schema[key] = { type: DAY_SCHEMA[key].type }; });
+            checkAgainstSchema(day, schema, `days[${index}].`, problems, [day, index]);
+            SEALED_FIELDS.forEach(key => {
+                if (day[key] === undefined && DAY_SCHEMA[key].fallback) day[key] = DAY_SCHEMA[key].fallback(day, index);
+            });
+        } else {
+            checkAgainstSchema(day, DAY_SCHEMA, `days[${index}].`, problems, [day, index]);
+        }
+        if (day.icons && day.icons.length < 3) {
+            day.icons = [0, 1, 2].map(i => day.icons[i] || day.icons[0] || day.icon);
+        }
+    });
+
+    return problems;
 }
 
-// ============ LOVE LETTER CONTROL ============
-function openLoveLetter() {
-    const modal = document.getElementById('letterModal');
-    const letterText = document.getElementById('letterText');
-    const day = config.days[currentDayIndex];
+// Reports referenced files the server says aren't there (skipped on file:// where fetch can't look,
+// and offline). Report only: the day is already playing, and the player and lyrics fall back on
+// their own when a file won't load.
+function checkConfigAssets() {
+    if (window.location.protocol === 'file:' || typeof fetch === 'undefined') return Promise.resolve([]);
+    if (navigator.onLine === false) return Promise.resolve([]);
+
+    const references = [];
+    const add = (path, entry) => {
+        const value = getTrackSrc(entry);
+        if (typeof value === 'string' && value) references.push({ path, value });
+    };
+    const addLyrics = (path, track) => {
+        if (track && typeof track === 'object') add(`${path}.lyrics`, track.lyrics);
+    };
+    add('defaultMusic', config.defaultMusic);
+    addLyrics('defaultMusic', config.defaultMusic);
+    (config.musicList || []).forEach((src, i) => {
+        add(`musicList[${i}]`, src);
+        addLyrics(`musicList[${i}]`, src);
+    });
+    (config.floatingIcons || []).forEach((src, i) => add(`floatingIcons[${i}]`, src));
+    add('stageOptions.chat.voice', config.stageOptions && config.stageOptions.chat && config.stageOptions.chat.voice);
+    config.days.forEach((day, index) => {
+        add(`days[${index}].music`, day.music);
+        add(`days[${index}].lyrics`, day.lyrics);
+        (day.memories || []).forEach((entry, i) => {
+            add(`days[${index}].memories[${i}].voice`, getMemoryVoice(entry));
+        });
+        add(`days[${index}].stageOptions.chat.voice`, day.stageOptions && day.stageOptions.chat && day.stageOptions.chat.voice);
+        addLyrics(`days[${index}].music`, day.music);
+        (day.floatingIcons || []).forEach((src, i) => add(`days[${index}].floatingIcons[${i}]`, src));
+    });
 
-    if (day && day.letter) {
-        letterText.innerHTML = day.letter;
-        modal.style.display = 'flex';
-        document.body.classList.add('modal-open');
-        // Small delay to allow display flex to apply before opacity transition
-        setTimeout(() => {
-            modal.classList.add('visible');
-        }, 10);
+    // Only a 404 means missing - a failed request (offline, the service worker, a host that
+    // refuses HEAD) or any other status says nothing about the file
+    const checked = {};
+    const isMissing = (url) => {
+        if (!checked[url]) {
+            checked[url] = fetch(url, { method: 'HEAD' }).then(res => res.status === 404).catch(() => false);
+        }
+        return checked[url];
+    };
 
-        // Play soft sound if available? maybe not to conflict with music
-    }
+    return Promise.all(references.map(ref => isMissing(ref.value).then(missing => (missing ? ref : null))))
+        .then(missing => missing.filter(Boolean).map(ref => (
+            { level: 'error', path: ref.path, message: `${ref.path} points to "${ref.value}", which doesn't exist` }
+        )));
 }
 
-function closeLoveLetter() {
-    const modal = document.getElementById('letterModal');
-    modal.classList.remove('visible');
-    document.body.classList.remove('modal-open');
-    setTimeout(() => {
-        modal.style.display = 'none';
-    }, 500);
+function reportConfigProblems(problems) {
+    configProblems = configProblems.concat(problems);
+    problems.forEach(problem => {
+        const log = problem.level === 'error' ? console.error : console.warn;
+        log(`⚙️ Config: ${problem.message}`);
+    });
+    if (problems.length && isCreatorMode()) showConfigReport();
 }
 
-// ============ SECURITY (Disable right-click and text selection in production) ============
-if (isDateLocked) {
-    // Disable right-click
-    document.addEventListener('contextmenu', (e) => e.preventDefault());
+function showConfigReport() {
+    let report = document.getElementById('configReport');
+    if (!report) {
+        report = document.createElement('div');
+        report.id = 'configReport';
+        report.setAttribute('role', 'alertdialog');
+        report.setAttribute('aria-labelledby', 'configReportTitle');
+        report.innerHTML = `
+            <div class="config-report-content">
+                <h2 id="configReportTitle"></h2>
+                <p class="config-report-sub">Fix these in config.js (or your content pack). Broken values were replaced with safe defaults so the page keeps working. This report only shows while you're testing.</p>
+                <ul class="config-report-list"></ul>
+                <button class="config-report-close" type="button">Continue anyway</button>
+            </div>
+        `;
+        report.querySelector('.config-report-close').addEventListener('click', (e) => {
+            e.stopPropagation();
+            report.classList.remove('visible');
+        });
+        document.body.appendChild(report);
+    }
 
-    // Disable text selection
-    document.body.style.userSelect = 'none';
-    document.body.style.webkitUserSelect = 'none';
+    const errors = configProblems.filter(problem => problem.level === 'error').length;
+    const warnings = configProblems.length - errors;
+    report.querySelector('#configReportTitle').textContent =
+        `⚙️ Config check: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+
+    const list = report.querySelector('.config-report-list');
+    list.innerHTML = '';
+    configProblems.forEach(problem => {
+        const item = document.createElement('li');
+        item.className = `config-problem ${problem.level}`;
+        item.textContent = problem.message;
+        list.appendChild(item);
+    });
+    report.classList.add('visible');
 }
 
 // ============ START ============
-init();
+function startExperience() {
+    registerStagePlugins(); // Before validation so plugin stage names count as known
+    applyLanguage();
+    reportConfigProblems(validateConfig());
+    schedule = buildSchedule(getScheduleYear()); // Validation drops broken days, which shifts the indexes
+    passEntryGate()
+        .then(unsealDays)
+        .then(() => {
+            init();
+            checkConfigAssets().then(reportConfigProblems);
+        });
+}
+
+const contentPackSource = getContentPackSource();
+if (contentPackSource) {
+    loadContentPack(contentPackSource).then(startExperience, showPackError);
+} else {
+    startExperience();
+}
@@ -0,0 +1,209 @@
+// =========================================================================
+// Offline Service Worker
+// =========================================================================
+// Keeps the page working without a network:
+//   - the shell (page, scripts, styles, icons) and the vendored libraries and fonts are stored on install
+//   - songs, lyrics and voice notes are stored when the page asks (see cacheDayForOffline in js/main.js)
+// Bump CACHE_VERSION when the shell list changes so old caches are cleared.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = `media-${CACHE_VERSION}`;
+const NETWORK_TIMEOUT = 3000; // On flaky data, fall back to the stored copy after this long
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'config.js',
+    'js/main.js',
+    'css/style.css',
+    'css/themes.css',
+    'manifest.webmanifest',
+    'assets/icons/app-icon.svg',
+    'assets/vendor/gsap/gsap.min.js',
+    'assets/vendor/fontawesome/css/all.min.css',
+    'assets/vendor/fonts/fonts.css'
+];
+
+// Stored one by one, so a fork that drops some of them still installs
+const ICON_FILES = [
+    'assets/svgs/balloon.svg',
+    'assets/svgs/cherry-blossom.svg',
+    'assets/svgs/chocolate.svg',
+    'assets/svgs/cupid-arrow.svg',
+    'assets/svgs/double-hearts.svg',
+    'assets/svgs/happy.svg',
+    'assets/svgs/heart.svg',
+    'assets/svgs/love-letter.svg',
+    'assets/svgs/music-note.svg',
+    'assets/svgs/ring.svg',
+    'assets/svgs/rose.svg',
+    'assets/svgs/sakura-branch.svg',
+    'assets/svgs/sakura-petal.svg',
+    'assets/svgs/smiling.svg',
+    'assets/svgs/sparkle-star.svg',
+    'assets/svgs/white-flower.svg'
+];
+
+// The font files fonts.css and all.min.css point at (the .ttf copies are only for old browsers)
+const FONT_FILES = [
+    'assets/vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'assets/vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'assets/vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-400-italic.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-400-normal.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-600-italic.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-600-normal.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-ext-400-italic.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-ext-400-normal.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-ext-600-italic.woff2',
+    'assets/vendor/fonts/cormorant-garamond-latin-ext-600-normal.woff2',
+    'assets/vendor/fonts/dancing-script-latin-400-normal.woff2',
+    'assets/vendor/fonts/dancing-script-latin-700-normal.woff2',
+    'assets/vendor/fonts/dancing-script-latin-ext-400-normal.woff2',
+    'assets/vendor/fonts/dancing-script-latin-ext-700-normal.woff2',
+    'assets/vendor/fonts/great-vibes-latin-400-normal.woff2',
+    'assets/vendor/fonts/great-vibes-latin-ext-400-normal.woff2',
+    'assets/vendor/fonts/montserrat-latin-400-normal.woff2',
+    'assets/vendor/fonts/montserrat-latin-700-normal.woff2',
+    'assets/vendor/fonts/montserrat-latin-ext-400-normal.woff2',
+    'assets/vendor/fonts/montserrat-latin-ext-700-normal.woff2',
+    'assets/vendor/fonts/outfit-latin-400-normal.woff2',
+    'assets/vendor/fonts/outfit-latin-700-normal.woff2',
+    'assets/vendor/fonts/outfit-latin-ext-400-normal.woff2',
+    'assets/vendor/fonts/outfit-latin-ext-700-normal.woff2',
+    'assets/vendor/fonts/playfair-display-latin-400-italic.woff2',
+    'assets/vendor/fonts/playfair-display-latin-400-normal.woff2',
+    'assets/vendor/fonts/playfair-display-latin-ext-400-italic.woff2',
+    'assets/vendor/fonts/playfair-display-latin-ext-400-normal.woff2',
+    'assets/vendor/fonts/special-elite-latin-400-normal.woff2',
+    'assets/vendor/fonts/special-elite-latin-ext-400-normal.woff2'
+];
+
+// Vendored files never change under the same CACHE_VERSION, so they're served straight from the cache
+const VENDOR_PATH = '/assets/vendor/';
+const MEDIA_PATTERN = /\.(mp3|m4a|aac|ogg|oga|wav|webm|lrc|vtt)$/i;
+
+// ============ INSTALL / ACTIVATE ============
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL_FILES.concat(FONT_FILES))
+            .then(() => Promise.all(ICON_FILES.map(url => cache.add(url).catch(() => null)))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, MEDIA_CACHE];
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// ============ FETCH ============
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return; // Response posts and the like go straight out
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    if (url.pathname.includes(VENDOR_PATH)) {
+        event.respondWith(cacheFirst(request));
+    } else if (MEDIA_PATTERN.test(url.pathname)) {
+        event.respondWith(fromMediaCache(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+function cacheFirst(request) {
+    return caches.match(request).then(cached => cached || fetch(request).then(res => {
+        if (res.ok) {
+            const copy = res.clone();
+            caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+        }
+        return res;
+    }));
+}
+
+// Fresh copies while online (config.js changes from day to day), the stored one when not
+function networkFirst(request) {
+    const network = fetch(request).then(res => {
+        if (res.ok) {
+            const copy = res.clone();
+            caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+        }
+        return res;
+    });
+    network.catch(() => null); // A late failure after the cache already answered isn't an error
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT));
+    const fallback = () => caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    return Promise.race([network, timeout.then(fallback)])
+        .then(res => res || network)
+        .catch(() => fallback().then(res => res || Response.error()));
+}
+
+// Audio elements ask for byte ranges, so stored songs are served in the slices requested
+function fromMediaCache(request) {
+    return caches.open(MEDIA_CACHE).then(cache => cache.match(request.url)).then(cached => {
+        if (!cached) return fetch(request);
+        const range = request.headers.get('range');
+        if (!range) return cached;
+        return cached.blob().then(blob => sliceResponse(blob, range, cached.headers.get('content-type')));
+    });
+}
+
+function sliceResponse(blob, range, type) {
+    const match = range.match(/bytes=(\d*)-(\d*)/);
+    const size = blob.size;
+    let start = match && match[1] ? parseInt(match[1], 10) : 0;
+    let end = match && match[2] ? parseInt(match[2], 10) : size - 1;
+    if (match && !match[1] && match[2]) { // "bytes=-500" is the last 500 bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    }
+    if (!match || start >= size || end < start) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+    end = Math.min(end, size - 1);
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': type || 'audio/mpeg',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+// ============ MEDIA REQUESTS FROM THE PAGE ============
+// { type: 'cache', urls } stores files now; { type: 'prefetch', urls } is the same, but
+// waits for 'cache' work to finish first so the open day's song isn't competing for bandwidth
+let cacheQueue = Promise.resolve();
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (!Array.isArray(data.urls) || !['cache', 'prefetch'].includes(data.type)) return;
+
+    const urls = data.urls
+        .filter(src => typeof src === 'string' && src)
+        .map(src => new URL(src, self.registration.scope).href)
+        .filter(href => href.startsWith(self.location.origin));
+    if (data.type === 'cache') {
+        const job = storeMedia(urls);
+        cacheQueue = cacheQueue.then(() => job, () => job);
+    } else {
+        const work = () => storeMedia(urls);
+        cacheQueue = cacheQueue.then(work, work);
+    }
+    event.waitUntil(cacheQueue);
+});
+
+function storeMedia(urls) {
+    return caches.open(MEDIA_CACHE).then(cache => Promise.all(urls.map(url =>
+        cache.match(url).then(found => found || fetch(url).then(res => {
+            if (res.ok && res.status === 200) return cache.put(url, res);
+            return null;
+        })).catch(() => null))));
+}
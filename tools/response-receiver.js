@@ -0,0 +1,108 @@
+// =========================================================================
+// Local Response Receiver
+// =========================================================================
+// A tiny stand-in for a real service, for testing `responseEndpoint` locally.
+// No dependencies - just run:
+//
+//   node tools/response-receiver.js
+//
+// then set `responseEndpoint: "http://localhost:8787/responses"` in config.js.
+// Events are appended to responses.jsonl (one JSON event per line) and can be
+// read back with GET /responses (GET /responses?type=reply for just the replies
+// from the "Reply to me" chat). Use PORT / RESPONSES_FILE to change the defaults.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const RESPONSES_FILE = process.env.RESPONSES_FILE || path.join(process.cwd(), 'responses.jsonl');
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+    res.end(JSON.stringify(body));
+}
+
+function readEvents() {
+    if (!fs.existsSync(RESPONSES_FILE)) return [];
+    return fs.readFileSync(RESPONSES_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+}
+
+function handlePost(req, res) {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            sendJson(res, 413, { error: 'Payload too large' });
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (e) {
+            sendJson(res, 400, { error: 'Body must be JSON' });
+            return;
+        }
+
+        const events = Array.isArray(payload.events) ? payload.events : [];
+        const known = new Set(readEvents().map(event => event.id));
+        const fresh = events.filter(event => event && event.id && !known.has(event.id)); // Retries may resend
+
+        if (fresh.length) {
+            const receivedAt = new Date().toISOString();
+            fs.appendFileSync(RESPONSES_FILE, fresh
+                .map(event => JSON.stringify(Object.assign({ recipient: payload.recipient, receivedAt }, event)))
+                .join('\n') + '\n');
+        }
+
+        fresh.forEach(event => {
+            if (event.type === 'reply') {
+                console.log(`💬 ${event.at}  ${event.day || '-'}  "${(event.data || {}).text}"`);
+                return;
+            }
+            console.log(`💌 ${event.at}  ${event.day || '-'}  ${event.type}  ${JSON.stringify(event.data || {})}`);
+        });
+        sendJson(res, 200, { received: events.length, stored: fresh.length });
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const [url, query] = req.url.split('?');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    if (url !== '/responses') {
+        sendJson(res, 404, { error: 'Use /responses' });
+        return;
+    }
+    if (req.method === 'POST') {
+        handlePost(req, res);
+        return;
+    }
+    if (req.method === 'GET') {
+        const type = new URLSearchParams(query).get('type');
+        sendJson(res, 200, { events: readEvents().filter(event => !type || event.type === type) });
+        return;
+    }
+    sendJson(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+    console.log(`📮 Listening on http://localhost:${PORT}/responses`);
+    console.log(`   Saving events to ${RESPONSES_FILE}`);
+});
@@ -0,0 +1,131 @@
+// =========================================================================
+// Seal Config
+// =========================================================================
+// Encrypts every day's words (quote, memories, letter...) so nobody without
+// your link can read them by viewing config.js. No dependencies - just run:
+//
+//   SEAL_SECRET="something only you know" node tools/seal-config.js
+//
+// It reads config.js and writes config.sealed.js next to it (pass other paths
+// as arguments: node tools/seal-config.js my-config.js out.js). Keep your plain
+// config.js to edit, and publish the sealed one as config.js.
+// Leave SEAL_SECRET out to have a random one made for you.
+//
+// Send the link with the secret after a # so days can open on their dates:
+//   https://you.github.io/ValentineWeek/#key=<secret>
+// Anything after # never reaches the server or link previews.
+//
+// This only protects against people who don't have the link. Every day's key
+// is derived from the secret in it, so the recipient can work out future days.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+// Must match SEALED_FIELDS and SEAL_ITERATIONS in js/main.js
+const SEALED_FIELDS = ['subtitle', 'quote', 'message', 'memories', 'letter', 'stageOptions'];
+const SEAL_ITERATIONS = 100000;
+const MONTH_INDEX = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+const input = path.resolve(process.argv[2] || 'config.js');
+const output = path.resolve(process.argv[3] || path.join(path.dirname(input), 'config.sealed.js'));
+const secret = process.env.SEAL_SECRET || crypto.randomBytes(18).toString('base64url');
+
+function loadConfig(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    return vm.runInNewContext(`${source}\n;config`, {}, { filename: file });
+}
+
+// Start of a day's `date` label ("Feb 7", "Feb 28 - Mar 1"), as parseDateRange reads it
+function parseStart(dateStr) {
+    const match = String(dateStr || '').trim().split(/\s*[-–—]\s*/)[0].match(/^([A-Za-z]+)\.?\s+(\d{1,2})$/);
+    const month = match ? MONTH_INDEX[match[1].slice(0, 3).toLowerCase()] : undefined;
+    return month === undefined ? null : { month, day: parseInt(match[2], 10) };
+}
+
+// Unlock dates the way buildSchedule finds them: a day earlier in the year than
+// the one before it belongs to the next year
+function getDateKeys(days, year) {
+    let entryYear = year;
+    let previous = null;
+    return days.map(day => {
+        const start = parseStart(day.date);
+        if (!start) return null;
+        const order = (s) => s.month * 100 + s.day;
+        if (previous && order(start) < order(previous)) entryYear++;
+        previous = start;
+        return `${entryYear}-${String(start.month + 1).padStart(2, '0')}-${String(start.day).padStart(2, '0')}`;
+    });
+}
+
+// Same as the page's Web Crypto setup: PBKDF2-SHA256 -> AES-256-GCM, tag after the ciphertext
+function seal(fields, dateKey) {
+    const key = crypto.pbkdf2Sync(secret, `valentineWeek:${dateKey}`, SEAL_ITERATIONS, 32, 'sha256');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(fields), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    return `${iv.toString('base64url')}.${data.toString('base64url')}`;
+}
+
+// Moves the sealed fields of `day` (laid over `base`, for translations) into `day.sealed`
+function sealDay(day, dateKey, base) {
+    if (!SEALED_FIELDS.some(field => day[field] !== undefined)) return false;
+    const fields = {};
+    SEALED_FIELDS.forEach(field => {
+        const value = day[field] !== undefined ? day[field] : base && base[field];
+        if (value !== undefined) fields[field] = value;
+        delete day[field];
+    });
+    day.sealed = seal(fields, dateKey);
+    return true;
+}
+
+const config = loadConfig(input);
+if (!config.year) {
+    console.error('❌ Set `year` in the config first - each day\'s key depends on its date.');
+    process.exit(1);
+}
+
+const plainDays = JSON.parse(JSON.stringify(config.days || []));
+const dateKeys = getDateKeys(config.days || [], config.year);
+let count = 0;
+
+(config.days || []).forEach((day, index) => {
+    if (day.sealed) {
+        console.warn(`⚠️ ${day.title} is already sealed, leaving it as it is`);
+    } else if (!dateKeys[index]) {
+        console.warn(`⚠️ ${day.title} has an unreadable date (${day.date}) and stays unsealed`);
+    } else if (sealDay(day, dateKeys[index])) {
+        count++;
+        console.log(`🔒 ${dateKeys[index]}  ${day.title}`);
+    }
+});
+
+// A translation's day replaces the whole sealed text, so it carries the original's
+// words for anything it doesn't translate
+Object.keys(config.languages || {}).forEach(language => {
+    const days = config.languages[language] && config.languages[language].days;
+    (Array.isArray(days) ? days : []).forEach((day, index) => {
+        if (day && dateKeys[index] && sealDay(day, dateKeys[index], plainDays[index])) {
+            console.log(`🔒 ${dateKeys[index]}  ${day.title || plainDays[index].title} (${language})`);
+        }
+    });
+});
+
+fs.writeFileSync(output, [
+    '// =========================================================================',
+    '// Valentine\'s Week Configuration (sealed)',
+    '// =========================================================================',
+    `// Made by tools/seal-config.js from ${path.basename(input)} - edit that file and seal it again.`,
+    '',
+    `const config = ${JSON.stringify(config, null, 4)};`,
+    ''
+].join('\n'));
+
+console.log(`\n✅ Sealed ${count} days into ${path.relative(process.cwd(), output)}`);
+console.log(`   Share the link ending in #key=${encodeURIComponent(secret)}`);
+if (!process.env.SEAL_SECRET) console.log('   (a new random secret - save it, the days can\'t be opened without it)');